@@ -1,8 +1,33 @@
 import * as Emitter from 'component-emitter';
 import * as WS from 'ws';
+import { Readable } from 'stream';
+import * as zlib from 'zlib';
 
 import { ReadyState } from "../interfaces/ReadyState";
+import { MessageType } from "../interfaces/MessageType";
+import { CloseCode } from "../interfaces/CloseCode";
 import { BaseSocketConfig } from '../interfaces/BaseSocketConfig';
+import { ReconnectConfig } from '../interfaces/ReconnectConfig';
+import { ReliableConfig } from '../interfaces/ReliableConfig';
+import { Codec } from '../interfaces/Codec';
+import { Metrics } from '../interfaces/Metrics';
+import { MessageContext, MessageHandler } from '../interfaces/MessageContext';
+import { ChunkReader } from './ChunkReader';
+import { MessageStream } from './MessageStream';
+import { RawCodec } from './RawCodec';
+import { JsonCodec } from './JsonCodec';
+import { BinaryCodec } from './BinaryCodec';
+import { Router } from './Router';
+
+/**
+ * 数据帧类型字节的最高位，表示数据帧头部之后的数据在应用层经过了deflate压缩
+ */
+const COMPRESSED_FLAG = 0x80;
+
+/**
+ * 没有设置maxPayload时，在应用层压缩的数据帧解压后的大小上限（byte）
+ */
+const MAX_INFLATED_SIZE = 100 * 1024 * 1024;
 
 /**
  * websocket 接口的抽象类，定义了需要实现的基础功能
@@ -16,6 +41,11 @@ export abstract class BaseSocket extends Emitter {
      */
     private static _id_Number = 0;
 
+    /**
+     * 数据帧头部最多占用的byte大小。[type:1][codec:1][title length:4][id:4]
+     */
+    static readonly headerSize = 10;
+
     /**
      * _messageID 的ID号，id从0开始。每发一条消息，该id加1。
      */
@@ -24,12 +54,233 @@ export abstract class BaseSocket extends Emitter {
     /**
      * 消息的发送队列。如果要取消发送，可以向send中传递以error
      */
-    private readonly _sendingQueue: Map<number, { size: number, send: (err?: Error) => void }> = new Map();
+    private readonly _sendingQueue: Map<number, { size: number, sent: boolean, send: (err?: Error) => void }> = new Map();
+
+    /**
+     * _requestID 的ID号，id从0开始。每发一次请求，该id加1。
+     */
+    private _requestID = 0;
+
+    /**
+     * 等待对方响应的请求。key是requestID
+     */
+    private readonly _pendingRequests: Map<number, { resolve: (data: any) => void, reject: (err: Error) => void, timer?: any, sent?: boolean }> = new Map();
+
+    /**
+     * 注册的请求处理器。key是请求的title
+     */
+    private readonly _requestHandlers: Map<string, (data: any) => any> = new Map();
+
+    /**
+     * 注册的编码器。key是编码器的名称
+     */
+    private readonly _codecs: Map<string, { id: number, codec: Codec }> = new Map();
+
+    /**
+     * 注册的编码器。key是编码器的编号
+     */
+    private readonly _codecsByID: Map<number, { name: string, codec: Codec }> = new Map();
+
+    /**
+     * 默认使用的编码器名称
+     */
+    private readonly _defaultCodec: string;
+
+    /**
+     * 正在发送的数据流。key是messageID，value用于中止发送
+     */
+    private readonly _sendingStreams: Map<number, { abort: (err: Error) => void, pause: (paused: boolean) => void }> = new Map();
+
+    /**
+     * 正在接收的数据流。key是对方发送数据流时的messageID
+     */
+    private readonly _receivingStreams: Map<number, MessageStream> = new Map();
+
+    /**
+     * 保存被包装的socket对象。重连之后会被替换成新的对象
+     */
+    protected _socket: WebSocket | WS;
+
+    /**
+     * 自动重连配置。undefined表示不重连
+     */
+    private readonly _reconnect?: ReconnectConfig;
+
+    /**
+     * 已经连续重连了多少次
+     */
+    private _reconnectAttempts = 0;
+
+    /**
+     * 等待下一次重连的计时器
+     */
+    private _reconnectTimer: any;
+
+    /**
+     * 是否正处在重连的过程中
+     */
+    private _reconnecting = false;
+
+    /**
+     * 是否曾经成功建立过连接
+     */
+    private _opened = false;
+
+    /**
+     * 是否是用户主动关闭的连接
+     */
+    private _closedByUser = false;
+
+    /**
+     * 最近一次底层连接断开的原因
+     */
+    private _lastClose: [number, string] = [1006, ''];
+
+    /**
+     * 主动断开底层连接时指定的关闭原因，用于替换底层连接给出的原因
+     */
+    private _closeWith?: [number, string];
+
+    /**
+     * 连接建立后发送给服务器的身份验证数据
+     */
+    private readonly _auth: any;
+
+    /**
+     * 是否正在等待服务器确认身份验证
+     */
+    private _authenticating = false;
+
+    /**
+     * 服务器端等待客户端发送身份验证数据时，用于处理收到的验证数据
+     */
+    private _authVerifier?: (data: any) => void;
+
+    /**
+     * 等待服务器确认身份验证的时间（毫秒）
+     */
+    private readonly _authTimeout: number;
+
+    /**
+     * 等待服务器确认身份验证的计时器
+     */
+    private _authTimer: any;
+
+    /**
+     * 心跳检测的间隔。0表示不检测
+     */
+    private readonly _heartbeatInterval: number;
+
+    /**
+     * 等待心跳回应的超时时间
+     */
+    private readonly _heartbeatTimeout: number;
+
+    /**
+     * 定时发送心跳的计时器
+     */
+    private _heartbeatTimer: any;
+
+    /**
+     * 等待心跳回应的计时器。undefined表示当前没有在等待回应
+     */
+    private _heartbeatTimeoutTimer: any;
+
+    /**
+     * 最近一次发送心跳的时间
+     */
+    private _pingTime = 0;
+
+    /**
+     * 可靠消息配置。undefined表示没有开启
+     */
+    private readonly _reliable?: ReliableConfig;
+
+    /**
+     * 当前接口的会话标识。重连之后保持不变，对方据此对重发的消息去重
+     */
+    private readonly _reliableSession = Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+    /**
+     * 下一条可靠消息的序号。可靠消息在数据帧中使用这个序号而不是messageID，超过2^32-1之后从0重新开始
+     */
+    private _reliableSeq = 0;
+
+    /**
+     * 还没有收到确认的可靠消息。key是可靠消息的序号
+     */
+    private readonly _unacked: Map<number, { messageID: number, frame: Buffer, compress: boolean, sent: boolean, resolve: () => void, reject: (err: Error) => void }> = new Map();
+
+    /**
+     * 对方是否开启了压缩。只有对方开启了压缩，才可以向对方发送在应用层压缩的数据帧
+     */
+    private _peerCompression = false;
+
+    /**
+     * 对方的会话标识。对方没有开启可靠模式时为undefined
+     */
+    private _peerSession?: string;
+
+    /**
+     * 最后处理的对方可靠消息的序号。-1表示还没有处理过
+     */
+    private _lastReceived = -1;
+
+    /**
+     * 保存对方会话的接收进度。服务器端接收到的接口由 Server 设置，使得客户端重连之后仍然可以去重
+     */
+    _reliableStore?: { get(session: string): number | undefined, set(session: string, id: number): void };
+
+    /**
+     * 限制接收频率。服务器端接收到的接口由 Server 根据 rateLimit 配置设置。    
+     * admit 返回true表示可以立即处理这个数据帧，否则数据帧已经被丢弃（会调用drop）或延迟（之后会调用process）
+     */
+    _rateLimiter?: {
+        admit(type: MessageType, title: string, size: number, process: () => void, drop: () => void): boolean;
+        requestStarted(): void;
+        requestFinished(): void;
+    };
+
+    /**
+     * 通过 handle、use、namespace 注册的消息路由
+     */
+    private readonly _router: Router = new Router();
+
+    /**
+     * 没有被路由处理的消息交给的处理器
+     */
+    private _fallback?: MessageHandler;
+
+    /**
+     * 服务器级别的消息路由，在接口自己的路由之前执行。服务器端接收到的接口由 Server 设置
+     */
+    _serverRoutes?: { router: Router<any>, fallback?: MessageHandler<any> };
+
+    /**
+     * 正在解压的数据帧以及排在它之后的数据帧处理完成
+     */
+    private _inflating?: Promise<void>;
+
+    /**
+     * 是否压缩超过阈值的数据帧
+     */
+    private readonly _compression: boolean;
+
+    /**
+     * 数据帧超过多少byte才压缩
+     */
+    private readonly _compressionThreshold: number;
+
+    /**
+     * 监控指标的收集器。undefined表示没有配置
+     */
+    private readonly _metrics?: Metrics[];
 
     /**
-     * 保存被包装的socket对象
+     * 当前连接是否已经报告过 connectionOpened。只有报告过的连接关闭时才报告 connectionClosed，
+     * 被身份验证拒绝、超时或者没有连接上的都不算
      */
-    protected readonly _socket: WebSocket | WS;
+    private _reportedOpened = false;
 
     /**
      * 当前接口的id
@@ -51,11 +302,16 @@ export abstract class BaseSocket extends Emitter {
      */
     session: any = {};
 
+    /**
+     * 最近一次心跳的往返时间（毫秒）。没有开启心跳检测或还没有收到过回应时为-1
+     */
+    latency = -1;
+
     /**
      * 连接的当前状态
      */
     get readyState(): ReadyState {
-        return this._socket.readyState;
+        return this._reconnecting || this._authenticating ? ReadyState.CONNECTING : this._socket.readyState;
     }
 
     /**
@@ -77,124 +333,1179 @@ export abstract class BaseSocket extends Emitter {
         this.id = BaseSocket._id_Number++;
         this._socket = socket;
         this.url = configs.url;
-        this.maxPayload = configs.maxPayload == null || configs.maxPayload <= 0 ? 0 : configs.maxPayload + 4;
+        this.maxPayload = configs.maxPayload == null || configs.maxPayload <= 0 ? 0 : configs.maxPayload;
+        this._defaultCodec = configs.codec || 'raw';
+        this._auth = configs.auth;
+        this._authTimeout = configs.authTimeout == null || configs.authTimeout <= 0 ? 10000 : configs.authTimeout;
+        this._compression = !!configs.compression;
+        this._compressionThreshold = configs.compressionThreshold == null || configs.compressionThreshold < 0 ? 1024 : configs.compressionThreshold;
+
+        if (configs.metrics !== undefined && (!Array.isArray(configs.metrics) || configs.metrics.length > 0))
+            this._metrics = Array.isArray(configs.metrics) ? configs.metrics : [configs.metrics];
+
+        this._registerCodec('raw', 0, new RawCodec());
+        this._registerCodec('json', 1, new JsonCodec());
+        this._registerCodec('binary', 2, new BinaryCodec());
+
+        if (configs.reconnect)
+            this._reconnect = Object.assign({ maxAttempts: 0, minDelay: 1000, maxDelay: 30000 }, configs.reconnect === true ? {} : configs.reconnect);
+
+        if (configs.reliable)
+            this._reliable = Object.assign({ bufferSize: 1000 }, configs.reliable === true ? {} : configs.reliable);
+
+        this._heartbeatInterval = configs.heartbeatInterval == null || configs.heartbeatInterval <= 0 ? 0 : configs.heartbeatInterval;
+        this._heartbeatTimeout = configs.heartbeatTimeout == null || configs.heartbeatTimeout <= 0 ? this._heartbeatInterval : configs.heartbeatTimeout;
+
+        if (socket.readyState === ReadyState.OPEN) {    //服务器端接收到的连接已经是打开的了
+            this._startHeartbeat();
+            this._announceCompression();
+        }
 
         this.once('close', () => {    //如果断开，终止所有还未发送的消息。从后向前取消
             for (let item of [...this._sendingQueue.keys()].reverse())
                 this.cancel(item, new Error('websocket 连接中断'));
+
+            for (let [requestID, item] of this._pendingRequests) { //终止所有还在等待响应的请求
+                this._pendingRequests.delete(requestID);
+                clearTimeout(item.timer);
+                item.reject(new Error('websocket 连接中断'));
+            }
+
+            for (let item of this._unacked.values())    //终止所有还在等待确认的可靠消息
+                item.reject(new Error('websocket 连接中断'));
+
+            this._unacked.clear();
+
+            this._abortStreams(new Error('websocket 连接中断'));
         });
     }
 
     //#endregion
 
+    /**
+     * 底层连接是否还可以继续写入数据，而不必等待上一个数据帧发送完成。默认false，即每次只发送一个数据帧。    
+     * 子类覆写后，还需要在底层连接的缓冲区降下来时调用 _onDrain
+     */
+    protected _isWritable(): boolean {
+        return false;
+    }
+
+    /**
+     * 底层连接缓冲区的数据超过了上限。子类需要在缓冲区超过上限时调用这个方法
+     */
+    protected _onBackpressure() {
+        this.emit('backpressure');
+    }
+
+    /**
+     * 底层连接缓冲区的数据降到了上限以下。子类需要在这时调用这个方法，以便继续发送队列中的数据
+     */
+    protected _onDrain() {
+        this.emit('drain');
+        this._sendNext();
+    }
+
     /**
      * 需要子类覆写。用于发送数据
+     * @param compress 是否使用 permessage-deflate 扩展压缩。只有协商成功了才会为true
      */
-    protected abstract async _sendData(data: Buffer): Promise<void>;
+    protected abstract async _sendData(data: Buffer, compress?: boolean): Promise<void>;
 
     /**
-     * 关闭接口。关闭之后会触发close事件
+     * 需要子类覆写。重连时用于创建新的底层连接，并为其绑定事件
      */
-    abstract close(): void;
+    protected abstract _createSocket(): WebSocket | WS;
 
     /**
-     * 发送消息。(返回的promise中包含该条消息的messageID)
-     * @param title 消息的标题
-     * @param data 携带的数据
+     * 需要子类覆写。立即断开底层连接，不等待关闭握手完成。断开之后也需要调用_onClose
      */
-    send(title: string, data: Buffer): Promise<void> & { messageID: number } {
-        const messageID = this._messageID++;
+    protected abstract _terminate(): void;
 
-        const result: any = new Promise((resolve, reject) => {
-            const b_title = Buffer.from(title);
-            const b_title_length = Buffer.alloc(4);
-            b_title_length.writeUInt32BE(b_title.length, 0);
+    /**
+     * 发送心跳。默认使用应用层的心跳帧，子类可以覆写成 WebSocket 的 ping。收到回应后需要调用_onPong
+     */
+    protected _ping() {
+        this._transmit(this._serialize(MessageType.ping, 0, Buffer.alloc(0), Buffer.alloc(0), 0), false).catch(() => { });
+    }
 
-            const r_data = Buffer.concat([b_title_length, b_title, data]);
+    /**
+     * 收到心跳的回应
+     */
+    protected _onPong() {
+        if (this._heartbeatTimeoutTimer !== undefined) {
+            clearTimeout(this._heartbeatTimeoutTimer);
+            this._heartbeatTimeoutTimer = undefined;
+            this.latency = Date.now() - this._pingTime;
+        }
+    }
 
-            if (this.maxPayload !== 0 && r_data.length > this.maxPayload)
-                throw new Error('发送的消息大小超出了限制');
+    /**
+     * 开始定时发送心跳
+     */
+    private _startHeartbeat() {
+        if (this._heartbeatInterval === 0) return;
 
-            let sent = false;   //是否已经执行send了
+        this._stopHeartbeat();
+        this._heartbeatTimer = setInterval(() => {
+            if (this._heartbeatTimeoutTimer !== undefined) return;  //上一次的心跳还在等待回应
 
-            const send = (err?: Error) => {
-                if (sent) return; else sent = true;
+            this._pingTime = Date.now();
+            this._heartbeatTimeoutTimer = setTimeout(() => {
+                this._heartbeatTimeoutTimer = undefined;
+                this._stopHeartbeat();
+                this._closeWith = [CloseCode.heartbeatTimeout, '心跳超时'];
+                this._terminate();
+            }, this._heartbeatTimeout);
 
-                if (err !== undefined) {
-                    reject(err);
-                    this._sendingQueue.delete(messageID);
-                } else {
-                    this._sendData(r_data).then(() => {
-                        this._sendingQueue.delete(messageID);
-                        resolve();
-                    }).catch((err) => {
-                        this._sendingQueue.delete(messageID);
-                        reject(err);
-                    }).then(() => {
-                        if (this._sendingQueue.size > 0)
-                            this._sendingQueue.values().next().value.send();
-                    });
-                }
-            }
+            this._ping();
+        }, this._heartbeatInterval);
+    }
 
-            this._sendingQueue.set(messageID, { size: r_data.length, send });
-            if (this._sendingQueue.size === 1) send();  //如果没有消息排队就直接发送
-        });
+    /**
+     * 停止发送心跳
+     */
+    private _stopHeartbeat() {
+        clearInterval(this._heartbeatTimer);
+        clearTimeout(this._heartbeatTimeoutTimer);
+        this._heartbeatTimer = undefined;
+        this._heartbeatTimeoutTimer = undefined;
+    }
 
-        result.messageID = messageID;
-        return result;
+    /**
+     * 底层连接建立。子类需要在底层连接触发open时调用这个方法
+     */
+    protected _onOpen() {
+        if (this._auth !== undefined) {   //先进行身份验证，服务器确认之后才算连接建立
+            this._authenticating = true;
+
+            this._authTimer = setTimeout(() => {    //服务器没有配置 verifyAuth 时不会回应，避免一直处于连接中的状态
+                this._authTimer = undefined;
+                this._onError(new Error('身份验证超时'));
+                this.close(CloseCode.authFailed, '身份验证超时');
+            }, this._authTimeout);
+
+            (async () => typeof this._auth === 'function' ? await this._auth() : this._auth)().then(data => {
+                return this._transmit(this._encodeFrame(MessageType.auth, '', data, 0, 'json'), false);
+            }).catch(err => {
+                this._onError(err);
+                this.close();
+            });
+        } else
+            this._onReady();
     }
 
     /**
-     * 取消发送
-     * @param messageID 要取消发送消息的messageID
-     * @param err 传递一个error，指示取消的原因
+     * 连接建立并且身份验证通过，可以开始通信了
      */
-    cancel(messageID: number, err: Error = new Error('发送取消')) {
-        const item = this._sendingQueue.get(messageID);
-        if (item != null) item.send(err);
+    private _onReady() {
+        this._opened = true;
+        this._startHeartbeat();
+
+        if (this._metrics !== undefined) this._reportMetrics('connectionOpened');
+
+        this._announceCompression();
+
+        if (this._reliable !== undefined) this._resume();
+
+        if (this._reconnecting) {
+            this._reconnecting = false;
+            this._reconnectAttempts = 0;
+            this.emit('reconnected');
+        } else
+            this.emit('open');
+
+        this._sendNext();   //继续发送等待期间保留下来的消息
     }
 
     /**
-     * 解析接收到数据。子类接收到消息后需要触发这个方法
-     * 
-     * @param data 接收到数据
+     * 开启了压缩时告知对方。没有协商 permessage-deflate 时，对方据此决定是否在应用层压缩
      */
-    protected _receiveData(data: Buffer) {
-        try {
-            let offset = 0;
-            const title_length = data.readUInt32BE(0); offset += 4;
-            const title = data.slice(offset, offset += title_length).toString();
-            const r_data = data.slice(offset);
+    private _announceCompression() {
+        if (this._compression)
+            this._transmit(this._serialize(MessageType.compression, 0, Buffer.alloc(0), Buffer.alloc(0), 0), false).catch(() => { });
+    }
 
-            this.emit('message', title, r_data);
-        } catch (error) {
-            this.emit('error', error);
+    /**
+     * 等待客户端发送身份验证数据（客户端通过auth配置发送）。验证通过之前收到的其他消息都会被丢弃。    
+     * 验证失败或超时会以 CloseCode.authFailed 关闭连接。供 Server 使用
+     * @param verify 验证函数。返回的值会作为promise的结果，抛出异常或返回false表示验证失败
+     * @param timeout 等待的时间（毫秒）
+     */
+    _waitForAuth(verify: (data: any) => any, timeout: number): Promise<any> {
+        return new Promise((resolve, reject) => {
+            const fail = (reason: string, err: Error) => {
+                clearTimeout(timer);
+                this._authVerifier = undefined;
+                this.close(CloseCode.authFailed, reason);
+                reject(err);
+            };
+
+            const timer = setTimeout(() => fail('身份验证超时', new Error('身份验证超时')), timeout);
+
+            this._authVerifier = (data) => {
+                this._authVerifier = () => { };   //只接受一次验证数据
+
+                (async () => verify(data))().then(result => {
+                    if (result === false) throw new Error('身份验证失败');
+
+                    clearTimeout(timer);
+                    this._authVerifier = undefined;
+                    this._transmit(this._serialize(MessageType.authAccepted, 0, Buffer.alloc(0), Buffer.alloc(0), 0), false).catch(() => { });
+                    resolve(result);
+                }).catch(err => fail('身份验证失败', err));
+            };
+
+            this.once('close', () => {
+                clearTimeout(timer);
+                reject(new Error('websocket 连接中断'));
+            });
+        });
+    }
+
+    /**
+     * 底层连接断开。子类需要在底层连接触发close时调用这个方法
+     */
+    protected _onClose(code: number, reason: string) {
+        this._stopHeartbeat();
+        this._authenticating = false;
+        clearTimeout(this._authTimer);
+        this._authTimer = undefined;
+
+        if (this._closeWith !== undefined) {
+            [code, reason] = this._closeWith;
+            this._closeWith = undefined;
+        }
+
+        this._lastClose = [code, reason];
+        if (this._reportedOpened) {
+            this._reportedOpened = false;
+            this._reportMetrics('connectionClosed', code, reason);
+        }
+        this._peerSession = undefined;  //新的连接需要对方重新告知会话标识
+        this._peerCompression = false;
+        this._lastReceived = -1;
+
+        if (this._reconnect !== undefined && !this._closedByUser && this._opened && code !== CloseCode.authFailed &&
+            (this._reconnect.maxAttempts === 0 || this._reconnectAttempts < (this._reconnect.maxAttempts as number))) {
+            this._reconnecting = true;
+            this._reconnectAttempts++;
+
+            //指数退避，并加入随机抖动，避免大量客户端同时重连
+            const max = Math.min(this._reconnect.maxDelay as number, (this._reconnect.minDelay as number) * 2 ** (this._reconnectAttempts - 1));
+            const delay = Math.round(max / 2 + Math.random() * max / 2);
+
+            this._reconnectTimer = setTimeout(() => {
+                this._reconnectTimer = undefined;
+                this._socket = this._createSocket();
+            }, delay);
+
+            this._abortStreams(new Error('websocket 连接中断'));   //对方已经丢失了数据流的状态，无法继续传输
+            this._abortSentRequests(new Error('websocket 连接中断'));
+            this.emit('reconnecting', this._reconnectAttempts, delay);
+        } else {
+            this._reconnecting = false;
+            this.emit('close', code, reason);
         }
     }
 
-    on(event: 'error', listener: (err: Error) => void): this
     /**
-     * 当收到消息
+     * 底层连接出现错误。子类需要在底层连接触发error时调用这个方法
+     */
+    protected _onError(err: Error) {
+        if (!this._reconnecting) this.emit('error', err);   //重连过程中的错误都会伴随着close，由重连逻辑处理
+    }
+
+    /**
+     * 关闭接口。关闭之后会触发close事件
+     * @param code 关闭代码
+     * @param reason 关闭原因
      */
-    on(event: 'message', listener: (title: string, data: Buffer) => void): this
+    close(code?: number, reason?: string): void {
+        this._closedByUser = true;
+
+        if (this._reconnectTimer !== undefined) {   //正在等待重连
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = undefined;
+            this._onClose(this._lastClose[0], this._lastClose[1]);
+        } else
+            this._socket.close(code, reason);
+    }
+
     /**
-     * 当连接建立
+     * 发送消息。(返回的promise中包含该条消息的messageID)
+     * @param title 消息的标题
+     * @param data 携带的数据。使用的编码器不是raw的话可以是任意能被编码的值
+     * @param options.codec 使用的编码器名称。默认是构造时配置的codec
+     * @param options.compress 是否压缩这条消息。默认根据 compression 与 compressionThreshold 配置决定
      */
-    on(event: 'open', listener: () => void): this
+    send(title: string, data: any, options: { codec?: string, compress?: boolean } = {}): Promise<void> & { messageID: number } {
+        if (this._reliable !== undefined)
+            return this._sendReliable(title, data, options.codec || this._defaultCodec, options.compress);
+
+        return this._enqueue(() => this._encodeFrame(MessageType.message, title, data, 0, options.codec || this._defaultCodec), options.compress);
+    }
+
     /**
-     * 断开连接
+     * 以可靠模式发送消息。收到对方的确认之后返回的promise才会resolve
      */
-    on(event: 'close', listener: (code: number, reason: string) => void): this
+    private _sendReliable(title: string, data: any, codec: string, compress?: boolean): Promise<void> & { messageID: number } {
+        let messageID = 0;
+        let seq = -1;
+
+        const result: any = new Promise<void>((resolve, reject) => {
+            const sending = this._enqueue(id => {
+                if (this._unacked.size >= ((this._reliable as ReliableConfig).bufferSize as number))
+                    throw new Error('等待确认的消息数量超出了限制');
+
+                const frame = this._encodeFrame(MessageType.reliableMessage, title, data, this._reliableSeq, codec);
+                seq = this._reliableSeq;
+                this._reliableSeq = (seq + 1) % 0x100000000;
+                this._unacked.set(seq, { messageID: id, frame, compress: this._shouldCompress(frame, compress), sent: false, resolve, reject });
+                return frame;
+            }, compress);
+
+            messageID = sending.messageID;
+
+            sending.then(() => {
+                const item = this._unacked.get(seq);
+                if (item !== undefined) item.sent = true;   //已经发出，等待确认。断线重连后需要重发
+            }, err => {
+                this._unacked.delete(seq);
+                reject(err);
+            });
+        });
+
+        result.messageID = messageID;
+        return result;
+    }
+
+    /**
+     * 对方的可靠消息是否还没有处理过。序号会从0重新开始，所以按照与上一条的差值判断（参考 RFC 1982），差值不超过2^31就算是新的
+     */
+    private _isNewReliable(seq: number): boolean {
+        if (this._lastReceived === -1) return true;
+
+        const diff = (seq - this._lastReceived + 0x100000000) % 0x100000000;
+        return diff !== 0 && diff < 0x80000000;
+    }
+
+    /**
+     * 告知对方自己的会话标识，然后重发已经发出但还没有收到确认的可靠消息
+     */
+    private _resume() {
+        this._transmit(this._serialize(MessageType.resume, 0, Buffer.alloc(0), Buffer.from(this._reliableSession), 0), false).catch(() => { });
+
+        for (let item of this._unacked.values()) {
+            if (item.sent)
+                this._transmit(item.frame, item.compress).catch(() => { });    //再次失败的话会在下次重连之后重发
+        }
+    }
+
+    /**
+     * 向对方发送请求，返回的promise会在收到对方的响应后resolve。    
+     * 如果对方的请求处理器抛出了异常，则promise会reject
+     * @param title 请求的标题
+     * @param data 携带的数据
+     * @param options.timeout 等待响应的超时时间（毫秒）。默认0 不超时
+     * @param options.codec 使用的编码器名称，对方的响应也会使用这个编码器。默认是构造时配置的codec
+     */
+    request(title: string, data: any, options: { timeout?: number, codec?: string } = {}): Promise<any> {
+        const requestID = this._requestID++;
+
+        return new Promise((resolve, reject) => {
+            const item: { resolve: (data: any) => void, reject: (err: Error) => void, timer?: any, sent?: boolean } = { resolve, reject };
+
+            if (options.timeout != null && options.timeout > 0) {
+                item.timer = setTimeout(() => {
+                    this._pendingRequests.delete(requestID);
+                    reject(new Error('请求超时'));
+                }, options.timeout);
+            }
+
+            this._pendingRequests.set(requestID, item);
+
+            this._send(MessageType.request, title, data, requestID, options.codec || this._defaultCodec).then(() => {
+                item.sent = true;
+            }, err => {
+                if (this._pendingRequests.delete(requestID)) {
+                    clearTimeout(item.timer);
+                    reject(err);
+                }
+            });
+        });
+    }
+
+    /**
+     * 注册请求处理器。处理器的返回值会作为响应发回给对方（没有返回值时使用请求的编码器编码undefined，编码器不支持的话对方收到空的Buffer），抛出的异常会在对方的request中reject。    
+     * 一个title只能注册一个处理器，重复注册会覆盖之前的
+     * @param title 请求的标题
+     * @param handler 请求处理器
+     */
+    onRequest(title: string, handler: (data: any) => any): void {
+        this._requestHandlers.set(title, handler);
+    }
+
+    /**
+     * 移除请求处理器
+     * @param title 请求的标题
+     */
+    offRequest(title: string): void {
+        this._requestHandlers.delete(title);
+    }
+
+    /**
+     * 注册消息处理器。标题使用 / 分隔层级，* 匹配一层中的任意内容，** 匹配任意多层。    
+     * 多个处理器依次执行，调用next交给之后匹配的处理器。处理器抛出的异常会触发error事件
+     * @param pattern 消息的标题
+     * @param handlers 消息处理器
+     */
+    handle(pattern: string, ...handlers: MessageHandler[]): this {
+        this._router.handle(pattern, ...handlers);
+        return this;
+    }
+
+    /**
+     * 注册中间件，对之后注册的所有消息处理器生效。不调用next则消息不会再被处理
+     * @param middleware 中间件
+     */
+    use(...middleware: MessageHandler[]): this {
+        this._router.use(...middleware);
+        return this;
+    }
+
+    /**
+     * 获取命名空间。标题以 `name/` 开头的消息会交给返回的路由处理
+     * @param name 命名空间的名称
+     */
+    namespace(name: string): Router {
+        return this._router.namespace(name);
+    }
+
+    /**
+     * 设置处理没有被任何处理器处理的消息的处理器。服务器端的接口没有设置时使用 Server 的 fallback
+     * @param handler 处理器
+     */
+    fallback(handler: MessageHandler | undefined): void {
+        this._fallback = handler;
+    }
+
+    /**
+     * 注册编码器。通信双方需要使用相同的名称与编号注册同一个编码器
+     * @param name 编码器的名称
+     * @param id 编码器的编号，会写入数据帧头部。0-15 保留给内置的编码器（raw、json、binary）
+     * @param codec 编码器
+     */
+    registerCodec(name: string, id: number, codec: Codec): void {
+        if (!Number.isInteger(id) || id < 16 || id > 255)
+            throw new Error('编码器的编号必须是16-255之间的整数');
+
+        this._registerCodec(name, id, codec);
+    }
+
+    private _registerCodec(name: string, id: number, codec: Codec) {
+        if (this._codecs.has(name) || this._codecsByID.has(id))
+            throw new Error(`编码器的名称或编号已被占用：${name}，${id}`);
+
+        this._codecs.set(name, { id, codec });
+        this._codecsByID.set(id, { name, codec });
+    }
+
+    /**
+     * 以数据流的形式发送大块数据。数据会被切分成不超过maxPayload的块依次发送，期间其他消息可以穿插发送。    
+     * 对方会通过stream事件收到一个 MessageStream。(返回的promise中包含该数据流的messageID，可以通过cancel取消发送)
+     * @param title 消息的标题
+     * @param source 要发送的数据源
+     * @param options.chunkSize 每一块的最大byte大小。默认64KB，如果设置了maxPayload则不会超过maxPayload
+     * @param options.onProgress 每发送完一块数据就调用一次。total为-1表示数据源的总大小未知
+     */
+    sendStream(title: string, source: Buffer | Readable | Blob | ReadableStream, options: { chunkSize?: number, onProgress?: (sent: number, total: number) => void } = {}): Promise<void> & { messageID: number } {
+        const messageID = this._messageID++;
+
+        let chunkSize = options.chunkSize != null && options.chunkSize > 0 ? options.chunkSize : 64 * 1024;
+        if (this.maxPayload !== 0) chunkSize = Math.min(chunkSize, this.maxPayload);    //数据块不携带标题
+
+        const reader = new ChunkReader(source, chunkSize);
+        let aborted: Error | undefined;
+        let sending: Promise<void> & { messageID: number } | undefined;  //正在发送的数据帧
+        let paused: { wait: Promise<void>, resume: () => void } | undefined;    //接收方要求暂停发送
+
+        const resume = () => {
+            if (paused !== undefined) {
+                paused.resume();
+                paused = undefined;
+            }
+        };
+
+        this._sendingStreams.set(messageID, {
+            abort: (err) => {
+                aborted = err;
+                reader.cancel();
+                resume();
+                if (sending !== undefined) this.cancel(sending.messageID, err);
+            },
+            pause: (pause) => {
+                if (!pause)
+                    resume();
+                else if (paused === undefined) {
+                    let signal: () => void = () => { };
+                    paused = { wait: new Promise<void>(resolve => signal = resolve), resume: () => signal() };
+                }
+            }
+        });
+
+        const result: any = (async () => {
+            try {
+                const b_total = Buffer.alloc(8);
+                b_total.writeDoubleBE(reader.total, 0);
+                await (sending = this._send(MessageType.streamStart, title, b_total, messageID));
+
+                let sent = 0, chunk: Buffer | null;
+
+                while (aborted === undefined && (chunk = await reader.read()) !== null) {
+                    await (sending = this._send(MessageType.streamChunk, '', chunk, messageID));   //等待发送完成后再读取下一块，避免数据堆积在队列中
+                    sent += chunk.length;
+                    if (options.onProgress) options.onProgress(sent, reader.total);
+                    await new Promise(resolve => setTimeout(resolve, 0));    //让出事件循环，以便及时收到接收方的暂停请求
+                    while (paused !== undefined) await paused.wait;         //等待接收方读取缓冲区中的数据
+                }
+
+                if (aborted !== undefined) throw aborted;
+
+                await (sending = this._send(MessageType.streamEnd, '', Buffer.alloc(0), messageID));
+            } catch (err) {
+                reader.cancel();
+                this._send(MessageType.streamCancel, '', Buffer.alloc(0), messageID).catch(() => { });  //通知对方
+                throw aborted || err;
+            } finally {
+                this._sendingStreams.delete(messageID);
+            }
+        })();
+
+        result.messageID = messageID;
+        return result;
+    }
+
+    /**
+     * 终止已经发给对方、还在等待响应的请求。重连之后新的连接不会再收到这些请求的响应，还没有发送的请求会在重连之后发送
+     */
+    private _abortSentRequests(err: Error) {
+        for (let [requestID, item] of this._pendingRequests) {
+            if (item.sent) {
+                this._pendingRequests.delete(requestID);
+                clearTimeout(item.timer);
+                item.reject(err);
+            }
+        }
+    }
+
+    /**
+     * 中止所有正在收发的数据流
+     */
+    private _abortStreams(err: Error) {
+        for (let item of [...this._sendingStreams.values()])
+            item.abort(err);
+
+        const receiving = [...this._receivingStreams.values()];
+        this._receivingStreams.clear();     //对方已经知道了，不需要再发送streamReject
+
+        for (let stream of receiving)
+            stream.destroy(err);
+    }
+
+    /**
+     * 将数据编码后放入发送队列
+     * @param type 数据帧的类型
+     * @param title 消息的标题
+     * @param data 携带的数据
+     * @param id 请求的ID或数据流的ID。message类型不需要
+     * @param codec 使用的编码器名称
+     */
+    private _send(type: MessageType, title: string, data: any, id: number = 0, codec: string = 'raw'): Promise<void> & { messageID: number } {
+        return this._enqueue(() => this._encodeFrame(type, title, data, id, codec));
+    }
+
+    /**
+     * 将消息编码成数据帧。供 Server 广播时使用，编码好的数据帧可以通过 _sendFrame 发给多个接口
+     * @param title 消息的标题
+     * @param data 携带的数据
+     * @param codec 使用的编码器名称。默认是构造时配置的codec
+     */
+    _encodeMessage(title: string, data: any, codec: string = this._defaultCodec): Buffer {
+        return this._encodeFrame(MessageType.message, title, data, 0, codec);
+    }
+
+    /**
+     * 将已经编码好的数据帧放入发送队列。供 Server 广播时使用
+     * @param frame 通过 _encodeMessage 编码好的数据帧
+     */
+    _sendFrame(frame: Buffer): Promise<void> & { messageID: number } {
+        return this._enqueue(() => frame);
+    }
+
+    /**
+     * 将数据编码成数据帧。编码失败或超出大小限制会抛出异常
+     */
+    private _encodeFrame(type: MessageType, title: string, data: any, id: number, codec: string): Buffer {
+        const item = this._codecs.get(codec);
+        if (item === undefined) throw new Error('未知的编码器：' + codec);
+
+        const b_title = Buffer.from(title);
+        const b_data = item.codec.encode(data);
+
+        if (this.maxPayload !== 0 && b_title.length + b_data.length > this.maxPayload)
+            throw new Error('发送的消息大小超出了限制');
+
+        return this._serialize(type, item.id, b_title, b_data, id);
+    }
+
+    /**
+     * 将数据帧放入发送队列
+     * @param getFrame 获取要发送的数据帧，参数是分配给这条消息的messageID。抛出的异常会导致返回的promise reject
+     * @param compress 是否压缩。默认根据 compression 与 compressionThreshold 配置决定
+     */
+    private _enqueue(getFrame: (messageID: number) => Buffer, compress?: boolean): Promise<void> & { messageID: number } {
+        const messageID = this._messageID++;
+
+        const result: any = new Promise((resolve, reject) => {
+            const r_data = getFrame(messageID);
+            const r_compress = this._shouldCompress(r_data, compress);
+            const startTime = this._metrics !== undefined ? Date.now() : 0;
+
+            const item = {
+                size: r_data.length,
+                sent: false,    //是否已经执行send了
+                send: (err?: Error) => {
+                    if (item.sent) return;
+
+                    if (err !== undefined) {
+                        item.sent = true;
+                        reject(err);
+                        this._sendingQueue.delete(messageID);
+                    } else if (!this._reconnecting && !this._authenticating) {   //正在重连或身份验证的话就等完成之后再发送
+                        item.sent = true;
+                        this._transmit(r_data, r_compress).then(() => {
+                            this._sendingQueue.delete(messageID);
+                            if (this._metrics !== undefined) this._reportFrame('sendLatency', r_data, Date.now() - startTime);
+                            resolve();
+                        }).catch((err) => {
+                            if (this._reconnect !== undefined && !this._closedByUser && this._opened) {
+                                item.sent = false;   //连接中断，保留在队列中等待重连之后重新发送
+                                return true;
+                            }
+
+                            this._sendingQueue.delete(messageID);
+                            reject(err);
+                        }).then((hold) => {
+                            if (!hold) this._sendNext();
+                        });
+                    }
+                }
+            };
+
+            this._sendingQueue.set(messageID, item);
+            if (this._sendingQueue.size === 1 || this._isWritable()) this._sendNext();  //如果没有消息排队或底层连接还可以继续写入就直接发送
+        });
+
+        result.messageID = messageID;
+        return result;
+    }
+
+    /**
+     * 发送队列中下一个还没有发送的数据帧。    
+     * 前面有数据帧正在发送时，只有底层连接还可以继续写入（_isWritable）才会发送，否则等待前面的数据帧发送完成或 _onDrain
+     */
+    private _sendNext() {
+        let first = true;
+
+        for (let item of this._sendingQueue.values()) {
+            if (!item.sent) {
+                if (!first && !this._isWritable()) return;
+
+                item.send();
+                if (!item.sent) return; //正在重连或身份验证
+            }
+
+            first = false;
+        }
+    }
+
+    /**
+     * 判断数据帧是否需要压缩
+     * @param compress 调用者指定的值。undefined表示根据 compression 与 compressionThreshold 配置决定
+     */
+    private _shouldCompress(frame: Buffer, compress?: boolean): boolean {
+        return compress !== undefined ? compress : this._compression && frame.length >= this._compressionThreshold;
+    }
+
+    /**
+     * 将数据帧交给子类发送。需要压缩时，如果底层连接协商了 permessage-deflate 扩展则交给底层压缩，
+     * 否则对方开启了压缩的话在应用层压缩，都不满足则不压缩
+     */
+    private _transmit(frame: Buffer, compress: boolean): Promise<void> {
+        let sending: Promise<void>;
+
+        if (!compress)
+            sending = this._sendData(frame, false);
+        else if (this._socket.extensions.indexOf('permessage-deflate') !== -1)
+            sending = this._sendData(frame, true);
+        else if (this._peerCompression)
+            sending = this._sendData(this._deflateFrame(frame), false);
+        else
+            sending = this._sendData(frame, false);
+
+        if (this._metrics === undefined)
+            return sending;
+
+        return sending.then(() => this._reportFrame('frameSent', frame, frame.length));
+    }
+
+    /**
+     * 调用 metrics 中的钩子，钩子的第一个参数是当前接口。供 Server 使用
+     * @param hook 钩子的名称
+     * @param args 其余的参数
+     */
+    _reportMetrics(hook: keyof Metrics, ...args: any[]) {
+        if (this._metrics !== undefined) {
+            if (hook === 'connectionOpened') this._reportedOpened = true;
+
+            for (const item of this._metrics) {
+                const fn: Function | undefined = item[hook];
+                if (fn !== undefined) fn.call(item, this, ...args);
+            }
+        }
+    }
+
+    /**
+     * 调用与数据帧有关的钩子，数据帧的类型与标题从数据帧头部中读取
+     */
+    private _reportFrame(hook: 'frameSent' | 'frameReceived' | 'sendLatency', frame: Buffer, value: number) {
+        const title_length = frame.readUInt32BE(2);
+        this._reportMetrics(hook, frame.readUInt8(0) & ~COMPRESSED_FLAG, frame.toString('utf8', 6, 6 + title_length), value);
+    }
+
+    /**
+     * 在应用层压缩数据帧头部之后的数据，并在类型字节上标记 COMPRESSED_FLAG。压缩后没有变小的话返回原数据帧
+     */
+    private _deflateFrame(frame: Buffer): Buffer {
+        const offset = BaseSocket._bodyOffset(frame, frame.readUInt8(0));
+        const body = zlib.deflateRawSync(frame.slice(offset));
+
+        if (body.length >= frame.length - offset)
+            return frame;
+
+        const header = Buffer.from(frame.slice(0, offset));
+        header.writeUInt8(frame.readUInt8(0) | COMPRESSED_FLAG, 0);
+        return Buffer.concat([header, body]);
+    }
+
+    /**
+     * 解压在应用层压缩过的数据帧。分段解压，一旦超出大小限制就停止，避免一个很小的数据帧解压出巨大的数据
+     */
+    private _inflateFrame(frame: Buffer): Promise<Buffer> {
+        return new Promise((resolve, reject) => {
+            const type = frame.readUInt8(0) & ~COMPRESSED_FLAG;
+            const offset = BaseSocket._bodyOffset(frame, type);
+            const limit = (this.maxPayload === 0 ? MAX_INFLATED_SIZE : this.maxPayload + BaseSocket.headerSize) - offset;
+
+            const header = Buffer.from(frame.slice(0, offset));
+            header.writeUInt8(type, 0);
+
+            const chunks: Buffer[] = [header];
+            let size = 0;
+
+            const inflate = zlib.createInflateRaw();
+
+            inflate.on('data', (chunk: Buffer) => {
+                size += chunk.length;
+
+                if (size > limit) {
+                    inflate.removeAllListeners('data');
+                    inflate.removeAllListeners('end');
+                    (inflate as any).close();   //停止解压（当前使用的 @types/node 版本中缺少 close 的声明）
+                    reject(new Error('接收到的消息解压后大小超出了限制'));
+                } else
+                    chunks.push(chunk);
+            });
+
+            inflate.on('end', () => resolve(Buffer.concat(chunks)));
+            inflate.on('error', reject);
+            inflate.end(frame.slice(offset));
+        });
+    }
+
+    /**
+     * 获取数据帧中头部之后的数据（请求ID之后）的起始位置
+     */
+    private static _bodyOffset(frame: Buffer, type: MessageType): number {
+        return 6 + frame.readUInt32BE(2) + (type === MessageType.message ? 0 : 4);
+    }
+
+    /**
+     * 序列化数据帧。格式为：[type:1][codec:1][title length:4][title][id:4 (message类型没有)][data]
+     */
+    private _serialize(type: MessageType, codecID: number, b_title: Buffer, data: Buffer, id: number): Buffer {
+        const header = Buffer.alloc(6);
+        header.writeUInt8(type, 0);
+        header.writeUInt8(codecID, 1);
+        header.writeUInt32BE(b_title.length, 2);
+
+        if (type === MessageType.message)
+            return Buffer.concat([header, b_title, data]);
+
+        const b_id = Buffer.alloc(4);
+        b_id.writeUInt32BE(id, 0);
+
+        return Buffer.concat([header, b_title, b_id, data]);
+    }
+
+    /**
+     * 取消发送。如果是正在发送的数据流，对方也会中止接收
+     * @param messageID 要取消发送消息的messageID
+     * @param err 传递一个error，指示取消的原因
+     */
+    cancel(messageID: number, err: Error = new Error('发送取消')) {
+        const item = this._sendingQueue.get(messageID);
+
+        if (item != null)
+            item.send(err);
+        else {
+            for (let [seq, unacked] of this._unacked) {
+                if (unacked.messageID === messageID) {  //已经发出，正在等待确认的可靠消息
+                    unacked.reject(err);
+                    this._unacked.delete(seq);
+                    return;
+                }
+            }
+
+            const stream = this._sendingStreams.get(messageID);
+            if (stream !== undefined) stream.abort(err);
+        }
+    }
+
+    /**
+     * 解析接收到数据。子类接收到消息后需要触发这个方法
+     * 
+     * @param data 接收到数据
+     */
+    protected _receiveData(data: Buffer) {
+        if (this._rateLimiter !== undefined) {
+            try {
+                const type: MessageType = data.readUInt8(0) & ~COMPRESSED_FLAG;
+
+                if (type !== MessageType.ping && type !== MessageType.pong && type !== MessageType.ack &&
+                    type !== MessageType.streamPause && type !== MessageType.streamResume) {   //控制帧不受限制
+                    const title_length = data.readUInt32BE(2);
+                    const title = data.toString('utf8', 6, 6 + title_length);
+
+                    const drop = () => {    //被丢弃的请求与数据流需要告诉对方，避免对方一直等待
+                        const id = data.readUInt32BE(6 + title_length);
+
+                        if (type === MessageType.request)
+                            this._send(MessageType.error, title, Buffer.from('请求过于频繁'), id).catch(() => { });
+                        else if (type === MessageType.streamStart)
+                            this._send(MessageType.streamReject, '', Buffer.alloc(0), id).catch(() => { });
+                        else if (type === MessageType.streamChunk) {
+                            const stream = this._receivingStreams.get(id);
+                            if (stream !== undefined) stream.destroy(new Error('超出频率限制'));  //同时会通知发送方
+                        }
+                    };
+
+                    if (!this._rateLimiter.admit(type, title, data.length, () => this._handleFrame(data), drop))
+                        return;
+                }
+            } catch (error) {
+                this.emit('error', error);
+                return;
+            }
+        }
+
+        this._handleFrame(data);
+    }
+
+    /**
+     * 处理接收到的数据帧。在应用层压缩过的数据帧需要异步解压，在它之后收到的数据帧要等它处理完再处理，以保证顺序
+     */
+    private _handleFrame(data: Buffer) {
+        if (data.readUInt8(0) & COMPRESSED_FLAG && !this._compression) {   //没有开启压缩的一方不接受在应用层压缩的数据帧，避免被解压炸弹攻击
+            this.emit('error', new Error('没有开启压缩，但收到了在应用层压缩的数据帧'));
+            this.close();
+            return;
+        }
+
+        if (this._inflating === undefined && !(data.readUInt8(0) & COMPRESSED_FLAG))
+            return this._processFrame(data);
+
+        const current: Promise<void> = (this._inflating || Promise.resolve()).then(() => {
+            if (data.readUInt8(0) & COMPRESSED_FLAG)
+                return this._inflateFrame(data).then(frame => this._processFrame(frame), err => { this.emit('error', err) });
+            else
+                this._processFrame(data);
+        }).then(() => {
+            if (this._inflating === current) this._inflating = undefined;
+        });
+
+        this._inflating = current;
+    }
+
+    /**
+     * 解析并处理接收到的数据帧
+     */
+    private _processFrame(data: Buffer) {
+        try {
+            let offset = 0;
+            const type: MessageType = data.readUInt8(offset); offset += 1;
+            const codec = this._codecsByID.get(data.readUInt8(offset)); offset += 1;
+            const title_length = data.readUInt32BE(offset); offset += 4;
+            const title = data.slice(offset, offset += title_length).toString();
+
+            if (codec === undefined)
+                throw new Error('未知的编码器编号：' + data.readUInt8(1));
+
+            if (this._metrics !== undefined) this._reportFrame('frameReceived', data, data.length);
+
+            if (this._authVerifier !== undefined && type !== MessageType.auth && type !== MessageType.ping)
+                return;     //身份验证通过之前收到的消息直接丢弃
+
+            if (type === MessageType.message) {
+                this._onMessage(title, codec.codec.decode(data.slice(offset)));
+            } else {
+                const id = data.readUInt32BE(offset); offset += 4;
+                const r_data = data.slice(offset);
+
+                switch (type) {
+                    case MessageType.request:
+                        this._receiveRequest(title, r_data, id, codec);
+                        break;
+
+                    case MessageType.response:
+                    case MessageType.error:
+                        const item = this._pendingRequests.get(id);
+
+                        if (item !== undefined) {
+                            this._pendingRequests.delete(id);
+                            clearTimeout(item.timer);
+
+                            if (type === MessageType.response) {
+                                try {
+                                    item.resolve(codec.codec.decode(r_data));
+                                } catch (err) {
+                                    item.reject(err);
+                                }
+                            } else
+                                item.reject(new Error(r_data.toString()));
+                        }
+                        break;
+
+                    case MessageType.streamStart:
+                        const stream = new MessageStream(title, r_data.readDoubleBE(0), () => {
+                            if (this._receivingStreams.delete(id))
+                                this._send(MessageType.streamReject, '', Buffer.alloc(0), id).catch(() => { });
+                        }, (paused) => {    //流量控制不经过发送队列，避免被排队的消息耽误
+                            if (this._receivingStreams.has(id))
+                                this._transmit(this._serialize(paused ? MessageType.streamPause : MessageType.streamResume, 0, Buffer.alloc(0), Buffer.alloc(0), id), false).catch(() => { });
+                        });
+
+                        this._receivingStreams.set(id, stream);
+                        this.emit('stream', title, stream);
+                        break;
+
+                    case MessageType.streamChunk:
+                    case MessageType.streamEnd:
+                    case MessageType.streamCancel:
+                        const receiving = this._receivingStreams.get(id);
+
+                        if (receiving !== undefined) {  //已经被取消的数据流，后续到达的数据直接丢弃
+                            if (type === MessageType.streamChunk)
+                                receiving._receiveChunk(r_data);
+                            else {
+                                this._receivingStreams.delete(id);
+
+                                if (type === MessageType.streamEnd)
+                                    receiving.push(null);
+                                else
+                                    receiving.destroy(new Error('发送方取消了发送'));
+                            }
+                        }
+                        break;
+
+                    case MessageType.streamReject:
+                        const sendingStream = this._sendingStreams.get(id);
+                        if (sendingStream !== undefined) sendingStream.abort(new Error('接收方取消了接收'));
+                        break;
+
+                    case MessageType.streamPause:
+                    case MessageType.streamResume:
+                        const pausing = this._sendingStreams.get(id);
+                        if (pausing !== undefined) pausing.pause(type === MessageType.streamPause);
+                        break;
+
+                    case MessageType.ping:  //心跳不经过发送队列，避免被排队的大消息耽误
+                        this._transmit(this._serialize(MessageType.pong, 0, Buffer.alloc(0), Buffer.alloc(0), 0), false).catch(() => { });
+                        break;
+
+                    case MessageType.pong:
+                        this._onPong();
+                        break;
+
+                    case MessageType.auth:
+                        if (this._authVerifier !== undefined)
+                            this._authVerifier(codec.codec.decode(r_data));
+                        break;
+
+                    case MessageType.authAccepted:
+                        if (this._authenticating) {
+                            this._authenticating = false;
+                            clearTimeout(this._authTimer);
+                            this._authTimer = undefined;
+                            this._onReady();
+                        }
+                        break;
+
+                    case MessageType.reliableMessage:
+                        if (this._isNewReliable(id)) {  //已经处理过的重发消息直接丢弃
+                            this._onMessage(title, codec.codec.decode(r_data));
+                            this._lastReceived = id;
+
+                            if (this._peerSession !== undefined && this._reliableStore !== undefined)
+                                this._reliableStore.set(this._peerSession, id);
+                        }
+
+                        this._transmit(this._serialize(MessageType.ack, 0, Buffer.alloc(0), Buffer.alloc(0), id), false).catch(() => { });
+                        break;
+
+                    case MessageType.ack:
+                        const unacked = this._unacked.get(id);
+
+                        if (unacked !== undefined) {
+                            this._unacked.delete(id);
+                            unacked.resolve();
+                        }
+                        break;
+
+                    case MessageType.compression:
+                        this._peerCompression = true;
+                        break;
+
+                    case MessageType.resume:
+                        this._peerSession = r_data.toString();
+                        const last = this._reliableStore !== undefined ? this._reliableStore.get(this._peerSession) : undefined;
+                        this._lastReceived = last === undefined ? -1 : last;
+                        break;
+
+                    default:
+                        throw new Error('未知的数据帧类型：' + type);
+                }
+            }
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * 触发message事件，并交给路由处理
+     */
+    private _onMessage(title: string, data: any) {
+        this.emit('message', title, data);
+
+        const server = this._serverRoutes;
+
+        if (this._router.isEmpty && this._fallback === undefined &&
+            (server === undefined || server.router.isEmpty && server.fallback === undefined))
+            return;
+
+        const ctx: MessageContext = { socket: this, title, data, params: [], state: {} };
+
+        const fallback = () => {
+            const handler = this._fallback || server && server.fallback;
+            if (handler !== undefined) return handler(ctx, async () => { });
+        };
+
+        const route = () => this._router._dispatch(ctx, title, fallback);
+
+        (server === undefined ? route() : server.router._dispatch(ctx, title, route))
+            .catch(err => this.emit('error', err));     //处理器抛出的异常不会导致服务器端关闭连接
+    }
+
+    /**
+     * 调用请求处理器，并将结果发回给对方
+     */
+    private _receiveRequest(title: string, data: Buffer, requestID: number, codec: { name: string, codec: Codec }) {
+        const handler = this._requestHandlers.get(title);
+
+        const sendError = (err: any) => this._send(MessageType.error, title, Buffer.from(err instanceof Error ? err.message : String(err)), requestID);
+
+        if (this._rateLimiter !== undefined) this._rateLimiter.requestStarted();
+
+        (async () => {
+            if (handler === undefined)
+                throw new Error('没有找到对应的请求处理器：' + title);
+
+            return await handler(codec.codec.decode(data));
+        })().then(result => {
+            let codecName = codec.name;
+
+            if (result === undefined) {   //处理器没有返回值时，如果编码器无法编码undefined（例如raw）就响应空数据
+                try {
+                    codec.codec.encode(undefined);
+                } catch (err) {
+                    result = Buffer.alloc(0);
+                    codecName = 'raw';
+                }
+            }
+
+            return this._send(MessageType.response, title, result, requestID, codecName).catch(sendError);    //例如响应超出了大小限制或无法编码
+        }, sendError).catch(() => { }).then(() => {   //连接断开导致响应发送失败，对方会自行处理
+            if (this._rateLimiter !== undefined) this._rateLimiter.requestFinished();
+        });
+    }
+
+    on(event: 'error', listener: (err: Error) => void): this
+    /**
+     * 当收到消息
+     */
+    on(event: 'message', listener: (title: string, data: any) => void): this
+    /**
+     * 当收到对方通过 sendStream 发送的数据流
+     */
+    on(event: 'stream', listener: (title: string, stream: MessageStream) => void): this
+    /**
+     * 当连接建立
+     */
+    on(event: 'open', listener: () => void): this
+    /**
+     * 断开连接
+     */
+    on(event: 'close', listener: (code: number, reason: string) => void): this
+    /**
+     * 连接意外断开，准备进行第attempt次重连。delay为距离重连还需等待的毫秒数
+     */
+    on(event: 'reconnecting', listener: (attempt: number, delay: number) => void): this
+    /**
+     * 重连成功
+     */
+    on(event: 'reconnected', listener: () => void): this
+    /**
+     * 底层连接缓冲区的数据超过了上限（BrowserSocket 的 highWaterMark），之后发送的消息会在队列中等待
+     */
+    on(event: 'backpressure', listener: () => void): this
+    /**
+     * 底层连接缓冲区的数据降到了上限以下，队列中的消息会继续发送
+     */
+    on(event: 'drain', listener: () => void): this
     on(event: string, listener: Function): this {
         super.on(event, listener);
         return this;
     }
 
     once(event: 'error', listener: (err: Error) => void): this
-    once(event: 'message', listener: (title: string, data: Buffer) => void): this
+    once(event: 'message', listener: (title: string, data: any) => void): this
+    once(event: 'stream', listener: (title: string, stream: MessageStream) => void): this
     once(event: 'open', listener: () => void): this
     once(event: 'close', listener: (code: number, reason: string) => void): this
+    once(event: 'reconnecting', listener: (attempt: number, delay: number) => void): this
+    once(event: 'reconnected', listener: () => void): this
+    once(event: 'backpressure', listener: () => void): this
+    once(event: 'drain', listener: () => void): this
     once(event: string, listener: Function): this {
         super.once(event, listener);
         return this;
@@ -0,0 +1,213 @@
+import { Codec } from '../interfaces/Codec';
+
+/**
+ * 紧凑的二进制对象编码，格式兼容 MessagePack。    
+ * 支持 null、undefined（编码为null）、boolean、number、string、Buffer、数组以及普通对象
+ */
+export class BinaryCodec implements Codec {
+
+    encode(data: any): Buffer {
+        const result: Buffer[] = [];
+        this._encode(data, result);
+        return Buffer.concat(result);
+    }
+
+    decode(data: Buffer): any {
+        const offset = { value: 0 };
+        const result = this._decode(data, offset);
+
+        if (offset.value !== data.length)
+            throw new Error('binary 解码失败：数据末尾有多余的内容');
+
+        return result;
+    }
+
+    private _encode(data: any, result: Buffer[]) {
+        if (data == null) {
+            result.push(Buffer.from([0xc0]));
+        } else if (typeof data === 'boolean') {
+            result.push(Buffer.from([data ? 0xc3 : 0xc2]));
+        } else if (typeof data === 'number') {
+            this._encodeNumber(data, result);
+        } else if (typeof data === 'string') {
+            const b_data = Buffer.from(data);
+            const length = b_data.length;
+
+            if (length < 32)
+                result.push(Buffer.from([0xa0 | length]));
+            else
+                result.push(this._lengthHeader(length, 0xd9, 0xda, 0xdb));
+
+            result.push(b_data);
+        } else if (Buffer.isBuffer(data)) {
+            result.push(this._lengthHeader(data.length, 0xc4, 0xc5, 0xc6), data);
+        } else if (Array.isArray(data)) {
+            if (data.length < 16)
+                result.push(Buffer.from([0x90 | data.length]));
+            else
+                result.push(this._lengthHeader(data.length, undefined, 0xdc, 0xdd));
+
+            for (const item of data)
+                this._encode(item, result);
+        } else if (typeof data === 'object') {
+            const keys = Object.keys(data);
+
+            if (keys.length < 16)
+                result.push(Buffer.from([0x80 | keys.length]));
+            else
+                result.push(this._lengthHeader(keys.length, undefined, 0xde, 0xdf));
+
+            for (const key of keys) {
+                this._encode(key, result);
+                this._encode(data[key], result);
+            }
+        } else
+            throw new Error('binary 编码器不支持的数据类型：' + typeof data);
+    }
+
+    private _encodeNumber(data: number, result: Buffer[]) {
+        let buffer: Buffer;
+
+        if (Number.isInteger(data) && data >= -0x80000000 && data <= 0xffffffff) {
+            if (data >= 0) {
+                if (data < 0x80) {
+                    buffer = Buffer.from([data]);
+                } else if (data <= 0xff) {
+                    buffer = Buffer.from([0xcc, data]);
+                } else if (data <= 0xffff) {
+                    buffer = Buffer.alloc(3);
+                    buffer.writeUInt8(0xcd, 0);
+                    buffer.writeUInt16BE(data, 1);
+                } else {
+                    buffer = Buffer.alloc(5);
+                    buffer.writeUInt8(0xce, 0);
+                    buffer.writeUInt32BE(data, 1);
+                }
+            } else {
+                if (data >= -32) {
+                    buffer = Buffer.alloc(1);
+                    buffer.writeInt8(data, 0);
+                } else if (data >= -0x80) {
+                    buffer = Buffer.alloc(2);
+                    buffer.writeUInt8(0xd0, 0);
+                    buffer.writeInt8(data, 1);
+                } else if (data >= -0x8000) {
+                    buffer = Buffer.alloc(3);
+                    buffer.writeUInt8(0xd1, 0);
+                    buffer.writeInt16BE(data, 1);
+                } else {
+                    buffer = Buffer.alloc(5);
+                    buffer.writeUInt8(0xd2, 0);
+                    buffer.writeInt32BE(data, 1);
+                }
+            }
+        } else {
+            buffer = Buffer.alloc(9);
+            buffer.writeUInt8(0xcb, 0);
+            buffer.writeDoubleBE(data, 1);
+        }
+
+        result.push(buffer);
+    }
+
+    /**
+     * 生成 [类型:1][长度:1|2|4] 格式的头部。不支持8位长度的类型传undefined
+     */
+    private _lengthHeader(length: number, type8: number | undefined, type16: number, type32: number): Buffer {
+        let buffer: Buffer;
+
+        if (type8 !== undefined && length <= 0xff) {
+            buffer = Buffer.from([type8, length]);
+        } else if (length <= 0xffff) {
+            buffer = Buffer.alloc(3);
+            buffer.writeUInt8(type16, 0);
+            buffer.writeUInt16BE(length, 1);
+        } else {
+            buffer = Buffer.alloc(5);
+            buffer.writeUInt8(type32, 0);
+            buffer.writeUInt32BE(length, 1);
+        }
+
+        return buffer;
+    }
+
+    private _decode(data: Buffer, offset: { value: number }): any {
+        const type = data.readUInt8(offset.value++);
+
+        if (type < 0x80) return type;                                           //positive fixint
+        if (type >= 0xe0) return type - 0x100;                                  //negative fixint
+        if (type >= 0xa0 && type <= 0xbf) return this._decodeString(data, offset, type & 0x1f); //fixstr
+        if (type >= 0x90 && type <= 0x9f) return this._decodeArray(data, offset, type & 0x0f);  //fixarray
+        if (type >= 0x80 && type <= 0x8f) return this._decodeMap(data, offset, type & 0x0f);    //fixmap
+
+        const read = (length: number, reader: (position: number) => number) => {
+            const result = reader.call(data, offset.value);
+            offset.value += length;
+            return result;
+        };
+
+        switch (type) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+
+            case 0xcc: return read(1, data.readUInt8);
+            case 0xcd: return read(2, data.readUInt16BE);
+            case 0xce: return read(4, data.readUInt32BE);
+            case 0xcf: return read(4, data.readUInt32BE) * 0x100000000 + read(4, data.readUInt32BE);
+            case 0xd0: return read(1, data.readInt8);
+            case 0xd1: return read(2, data.readInt16BE);
+            case 0xd2: return read(4, data.readInt32BE);
+            case 0xd3: return read(4, data.readInt32BE) * 0x100000000 + read(4, data.readUInt32BE);
+            case 0xca: return read(4, data.readFloatBE);
+            case 0xcb: return read(8, data.readDoubleBE);
+
+            case 0xd9: return this._decodeString(data, offset, read(1, data.readUInt8));
+            case 0xda: return this._decodeString(data, offset, read(2, data.readUInt16BE));
+            case 0xdb: return this._decodeString(data, offset, read(4, data.readUInt32BE));
+
+            case 0xc4: return this._decodeBuffer(data, offset, read(1, data.readUInt8));
+            case 0xc5: return this._decodeBuffer(data, offset, read(2, data.readUInt16BE));
+            case 0xc6: return this._decodeBuffer(data, offset, read(4, data.readUInt32BE));
+
+            case 0xdc: return this._decodeArray(data, offset, read(2, data.readUInt16BE));
+            case 0xdd: return this._decodeArray(data, offset, read(4, data.readUInt32BE));
+            case 0xde: return this._decodeMap(data, offset, read(2, data.readUInt16BE));
+            case 0xdf: return this._decodeMap(data, offset, read(4, data.readUInt32BE));
+
+            default:
+                throw new Error('binary 解码失败：不支持的类型 0x' + type.toString(16));
+        }
+    }
+
+    private _decodeBuffer(data: Buffer, offset: { value: number }, length: number): Buffer {
+        if (offset.value + length > data.length)
+            throw new Error('binary 解码失败：数据长度不足');
+
+        return data.slice(offset.value, offset.value += length);
+    }
+
+    private _decodeString(data: Buffer, offset: { value: number }, length: number): string {
+        return this._decodeBuffer(data, offset, length).toString();
+    }
+
+    private _decodeArray(data: Buffer, offset: { value: number }, length: number): any[] {
+        const result = [];
+
+        for (let i = 0; i < length; i++)
+            result.push(this._decode(data, offset));
+
+        return result;
+    }
+
+    private _decodeMap(data: Buffer, offset: { value: number }, length: number): { [key: string]: any } {
+        const result: { [key: string]: any } = {};
+
+        for (let i = 0; i < length; i++) {
+            const key = this._decode(data, offset);
+            result[key] = this._decode(data, offset);
+        }
+
+        return result;
+    }
+}
@@ -0,0 +1,147 @@
+import { Readable } from 'stream';
+
+/**
+ * 将各种类型的数据源按照指定的大小切分成块，依次读取
+ */
+export class ChunkReader {
+
+    /**
+     * 读取下一块数据的具体实现。读完之后返回null
+     */
+    private readonly _read: () => Promise<Buffer | null>;
+
+    /**
+     * 取消读取时需要执行的清理工作
+     */
+    private _cleanup: () => void = () => { };
+
+    /**
+     * 取消读取时，让正在等待的read立即返回null
+     */
+    private _cancelSignal: () => void;
+
+    private readonly _cancelled: Promise<null> = new Promise<null>(resolve => this._cancelSignal = () => resolve(null));
+
+    /**
+     * 数据的总大小（byte），-1 表示未知
+     */
+    readonly total: number = -1;
+
+    /**
+     * @param source 数据源
+     * @param chunkSize 每一块的最大byte大小
+     */
+    constructor(source: Buffer | Readable | Blob | ReadableStream, chunkSize: number) {
+        if (Buffer.isBuffer(source)) {
+            this.total = source.length;
+            this._read = this._readBuffer(source, chunkSize);
+        } else if (typeof Blob !== 'undefined' && source instanceof Blob) {
+            this.total = source.size;
+            this._read = this._readBlob(source, chunkSize);
+        } else if (typeof ReadableStream !== 'undefined' && source instanceof ReadableStream) {
+            this._read = this._readWebStream(source, chunkSize);
+        } else
+            this._read = this._readNodeStream(source as Readable, chunkSize);
+    }
+
+    /**
+     * 读取下一块数据，读完或被取消之后返回null
+     */
+    read(): Promise<Buffer | null> {
+        return Promise.race([this._read(), this._cancelled]);
+    }
+
+    /**
+     * 取消读取
+     */
+    cancel() {
+        this._cancelSignal();
+        this._cleanup();
+    }
+
+    private _readBuffer(source: Buffer, chunkSize: number) {
+        let offset = 0;
+        return async () => offset < source.length ? source.slice(offset, offset += chunkSize) : null;
+    }
+
+    private _readBlob(source: Blob, chunkSize: number) {
+        let offset = 0;
+
+        return () => new Promise<Buffer | null>((resolve, reject) => {
+            if (offset >= source.size) return resolve(null);
+
+            const reader = new FileReader();
+            reader.onload = () => resolve(Buffer.from(reader.result as ArrayBuffer));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(source.slice(offset, offset += chunkSize));
+        });
+    }
+
+    private _readWebStream(source: ReadableStream, chunkSize: number) {
+        const reader = source.getReader();
+        let rest = Buffer.alloc(0);   //上次读取剩下的数据
+        let done = false;
+
+        this._cleanup = () => { reader.cancel().catch(() => { }) };
+
+        return async () => {
+            while (!done && rest.length < chunkSize) {
+                const result = await reader.read();
+
+                if (result.done)
+                    done = true;
+                else
+                    rest = Buffer.concat([rest, Buffer.from(result.value)]);
+            }
+
+            if (rest.length === 0) return null;
+
+            const chunk = rest.slice(0, chunkSize);
+            rest = rest.slice(chunkSize);
+            return chunk;
+        };
+    }
+
+    private _readNodeStream(source: Readable, chunkSize: number) {
+        let ended = false;
+        let error: Error | undefined;
+        let waiting: (() => void) | undefined;  //正在等待数据到达的回调
+
+        const onEnd = () => { ended = true; if (waiting) waiting() };
+        const onError = (err: Error) => { error = err; if (waiting) waiting() };
+        const onReadable = () => { if (waiting) waiting() };
+
+        source.on('end', onEnd);
+        source.on('error', onError);
+        source.on('readable', onReadable);
+
+        this._cleanup = () => {
+            source.removeListener('end', onEnd);
+            source.removeListener('error', onError);
+            source.removeListener('readable', onReadable);
+        };
+
+        return () => new Promise<Buffer | null>((resolve, reject) => {
+            const tryRead = () => {
+                waiting = undefined;
+
+                if (error !== undefined) {
+                    this._cleanup();
+                    return reject(error);
+                }
+
+                const chunk = source.read(chunkSize) || source.read();  //剩余的数据不足chunkSize时，第一个read会返回null
+
+                if (chunk !== null)
+                    resolve(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+                else if (ended) {
+                    this._cleanup();
+                    resolve(null);
+                } else
+                    waiting = tryRead;
+            };
+
+            tryRead();
+        });
+    }
+}
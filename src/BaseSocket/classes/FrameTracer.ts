@@ -0,0 +1,37 @@
+import { BaseSocket } from './BaseSocket';
+import { Metrics } from '../interfaces/Metrics';
+import { MessageType } from '../interfaces/MessageType';
+
+/**
+ * 调试用，打印收发的每一个数据帧
+ */
+export class FrameTracer implements Metrics {
+
+    /**
+     * 输出日志的方法
+     */
+    private readonly _log: (line: string) => void;
+
+    /**
+     * @param log 输出日志的方法。默认 console.log
+     */
+    constructor(log: (line: string) => void = console.log) {
+        this._log = log;
+    }
+
+    connectionOpened(socket: BaseSocket) {
+        this._log(`[binary-ws] socket ${socket.id} 连接建立`);
+    }
+
+    connectionClosed(socket: BaseSocket, code: number, reason: string) {
+        this._log(`[binary-ws] socket ${socket.id} 连接断开 ${code} ${reason}`);
+    }
+
+    frameSent(socket: BaseSocket, type: MessageType, title: string, size: number) {
+        this._log(`[binary-ws] socket ${socket.id} -> ${MessageType[type]} ${JSON.stringify(title)} ${size}B`);
+    }
+
+    frameReceived(socket: BaseSocket, type: MessageType, title: string, size: number) {
+        this._log(`[binary-ws] socket ${socket.id} <- ${MessageType[type]} ${JSON.stringify(title)} ${size}B`);
+    }
+}
@@ -0,0 +1,15 @@
+import { Codec } from '../interfaces/Codec';
+
+/**
+ * 使用JSON编码数据
+ */
+export class JsonCodec implements Codec {
+
+    encode(data: any): Buffer {
+        return data === undefined ? Buffer.alloc(0) : Buffer.from(JSON.stringify(data));
+    }
+
+    decode(data: Buffer): any {
+        return data.length === 0 ? undefined : JSON.parse(data.toString());
+    }
+}
@@ -0,0 +1,97 @@
+import { Readable } from 'stream';
+
+/**
+ * 接收到的数据流。对方通过 sendStream 发送的数据会分块陆续到达
+ */
+export class MessageStream extends Readable {
+
+    /**
+     * 销毁流。（当前使用的 @types/node 版本中缺少这个声明）
+     */
+    destroy: (error?: Error) => void;
+
+    /**
+     * 取消接收时，通知发送方停止发送
+     */
+    private readonly _onCancel: () => void;
+
+    /**
+     * 缓冲区满了或有空间了时，通知发送方暂停或继续发送
+     */
+    private readonly _onPause: (paused: boolean) => void;
+
+    /**
+     * 是否已经通知发送方暂停发送
+     */
+    private _paused = false;
+
+    /**
+     * 消息的标题
+     */
+    readonly title: string;
+
+    /**
+     * 数据的总大小（byte），-1 表示发送方也不知道数据有多大
+     */
+    readonly total: number;
+
+    /**
+     * 已经接收到的数据大小（byte）
+     */
+    received = 0;
+
+    constructor(title: string, total: number, onCancel: () => void, onPause: (paused: boolean) => void) {
+        super();
+        this.title = title;
+        this.total = total;
+        this._onCancel = onCancel;
+        this._onPause = onPause;
+    }
+
+    _read() {   //数据是由对方推送过来的，这里只需要在之前暂停过时让对方继续发送
+        if (this._paused) {
+            this._paused = false;
+            this._onPause(false);
+        }
+    }
+
+    _destroy(err: Error | null, callback: (err: Error | null) => void) {   //不论是通过cancel还是destroy，都需要通知发送方
+        this._onCancel();
+        callback(err);
+    }
+
+    /**
+     * 接收到一块数据。供 BaseSocket 调用
+     */
+    _receiveChunk(chunk: Buffer) {
+        this.received += chunk.length;
+
+        if (!this.push(chunk) && !this._paused) {   //读取的速度跟不上，让对方暂停发送
+            this._paused = true;
+            this._onPause(true);
+        }
+
+        this.emit('progress', this.received, this.total);
+    }
+
+    /**
+     * 取消接收，并通知发送方停止发送
+     */
+    cancel() {
+        this.destroy();
+    }
+
+    on(event: 'progress', listener: (received: number, total: number) => void): this
+    on(event: string, listener: (...args: any[]) => void): this
+    on(event: string, listener: (...args: any[]) => void): this {
+        super.on(event, listener);
+        return this;
+    }
+
+    once(event: 'progress', listener: (received: number, total: number) => void): this
+    once(event: string, listener: (...args: any[]) => void): this
+    once(event: string, listener: (...args: any[]) => void): this {
+        super.once(event, listener);
+        return this;
+    }
+}
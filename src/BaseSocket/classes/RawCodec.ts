@@ -0,0 +1,18 @@
+import { Codec } from '../interfaces/Codec';
+
+/**
+ * 不做任何处理，直接收发Buffer
+ */
+export class RawCodec implements Codec {
+
+    encode(data: any): Buffer {
+        if (!Buffer.isBuffer(data))
+            throw new Error('raw 编码器只能发送Buffer');
+
+        return data;
+    }
+
+    decode(data: Buffer): Buffer {
+        return data;
+    }
+}
@@ -0,0 +1,112 @@
+import { BaseSocket } from './BaseSocket';
+import { MessageContext, MessageHandler } from '../interfaces/MessageContext';
+
+/**
+ * 由消息处理器抛出的异常。这类异常不会导致服务器端关闭连接
+ */
+const handlerErrors: WeakSet<Error> = new WeakSet();
+
+/**
+ * 根据消息标题将消息分发给中间件与处理器。
+ * 标题使用 / 分隔层级，路由中的 * 匹配一层中的任意内容，** 匹配任意多层
+ */
+export class Router<S extends BaseSocket = BaseSocket> {
+
+    /**
+     * 按注册顺序排列的中间件、处理器与命名空间
+     */
+    private readonly _layers: ({ pattern?: RegExp, handler: MessageHandler<S> } | { prefix: string, router: Router<S> })[] = [];
+
+    /**
+     * 没有注册任何中间件与处理器
+     */
+    get isEmpty(): boolean {
+        return this._layers.length === 0;
+    }
+
+    /**
+     * 注册消息处理器。同一条消息可以被多个路由匹配，按照注册的顺序处理
+     * @param pattern 消息的标题，可以包含通配符。在命名空间中是相对于命名空间的标题
+     * @param handlers 消息处理器，依次执行
+     */
+    handle(pattern: string, ...handlers: MessageHandler<S>[]): this {
+        const regexp = new RegExp('^' + pattern.split(/(\*\*|\*)/).map(item =>
+            item === '**' ? '(.*)' : item === '*' ? '([^/]*)' : item.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        ).join('') + '$');
+
+        for (const handler of handlers)
+            this._layers.push({ pattern: regexp, handler });
+
+        return this;
+    }
+
+    /**
+     * 注册中间件。中间件对之后注册的所有路由（包括命名空间中的）生效
+     * @param middleware 中间件，依次执行
+     */
+    use(...middleware: MessageHandler<S>[]): this {
+        for (const handler of middleware)
+            this._layers.push({ handler });
+
+        return this;
+    }
+
+    /**
+     * 获取命名空间。标题以 `name/` 开头的消息会交给返回的路由处理，同一个名称返回同一个路由
+     * @param name 命名空间的名称
+     */
+    namespace(name: string): Router<S> {
+        const prefix = name + '/';
+
+        for (const layer of this._layers)
+            if ('prefix' in layer && layer.prefix === prefix) return layer.router;
+
+        const router = new Router<S>();
+        this._layers.push({ prefix, router });
+        return router;
+    }
+
+    /**
+     * 分发消息。所有匹配的中间件与处理器都调用了next之后执行done
+     * @param ctx 消息上下文
+     * @param path 相对于当前路由的标题
+     * @param done 没有被处理时执行
+     */
+    _dispatch(ctx: MessageContext<S>, path: string, done: () => any): Promise<void> {
+        const next = async (index: number): Promise<void> => {
+            for (; index < this._layers.length; index++) {
+                const layer = this._layers[index];
+                const nextLayer = index + 1;
+
+                if ('prefix' in layer) {
+                    if (path.startsWith(layer.prefix))
+                        return layer.router._dispatch(ctx, path.slice(layer.prefix.length), () => next(nextLayer));
+                } else if (layer.pattern === undefined) {
+                    return layer.handler(ctx, () => next(nextLayer));
+                } else {
+                    const match = layer.pattern.exec(path);
+
+                    if (match !== null) {
+                        ctx.params = match.slice(1);
+                        return layer.handler(ctx, () => next(nextLayer));
+                    }
+                }
+            }
+
+            return done();
+        };
+
+        return next(0).catch(err => {
+            const error = err instanceof Error ? err : new Error(String(err));
+            handlerErrors.add(error);
+            throw error;
+        });
+    }
+
+    /**
+     * 判断一个异常是否是由消息处理器（或中间件）抛出的
+     */
+    static isHandlerError(err: any): boolean {
+        return err instanceof Error && handlerErrors.has(err);
+    }
+}
@@ -1,3 +1,7 @@
+import { ReconnectConfig } from "./ReconnectConfig";
+import { ReliableConfig } from "./ReliableConfig";
+import { Metrics } from "./Metrics";
+
 /**
  * BaseSocket 构造函数参数
  * 
@@ -15,4 +19,63 @@ export interface BaseSocketConfig {
      * 注意：这个必须与服务器一致。如果大于服务器指定的则会导致连接直接被断开。
      */
     maxPayload?: number;
+
+    /**
+     * send 与 request 默认使用的编码器名称。内置的有 raw、json、binary，默认 raw（只能发送Buffer）。    
+     * 使用的编码器会被记录在数据帧中，对方会自动解码，所以通信双方可以使用不同的默认编码器。
+     */
+    codec?: string;
+
+    /**
+     * 连接意外断开后是否自动重连，默认false。只对客户端有效（BrowserSocket 与使用url创建的 ServerSocket）。    
+     * 重连期间发送队列中的消息会被保留，重连成功后继续发送。
+     */
+    reconnect?: boolean | ReconnectConfig;
+
+    /**
+     * 心跳检测的间隔（毫秒），默认0 不检测。    
+     * 服务器端使用 WebSocket 协议的 ping/pong，浏览器端由于无法发送 ping 帧，使用应用层的心跳帧。
+     */
+    heartbeatInterval?: number;
+
+    /**
+     * 发出心跳之后等待对方回应的时间（毫秒），超时则断开连接（关闭代码为 CloseCode.heartbeatTimeout）。默认与 heartbeatInterval 相同
+     */
+    heartbeatTimeout?: number;
+
+    /**
+     * 连接建立后（包括重连之后）立即发送给服务器的身份验证数据，使用json编码。可以是一个返回验证数据的函数（支持async）。    
+     * 用于无法设置请求头的浏览器，需要服务器端配置 verifyAuth。服务器确认之前不会触发open事件，发送的消息也会被保留。
+     */
+    auth?: any;
+
+    /**
+     * 配置了auth时，等待服务器确认身份验证的时间（毫秒），超时则以 CloseCode.authFailed 关闭连接。默认10000
+     */
+    authTimeout?: number;
+
+    /**
+     * 是否压缩超过 compressionThreshold 大小的数据帧，默认false。可以通过 send 的 compress 参数单独指定。    
+     * 优先使用 WebSocket 的 permessage-deflate 扩展，如果没有协商成功但对方也开启了压缩，则在应用层使用deflate压缩，对方会自动解压。    
+     * 没有开启压缩的一方收到在应用层压缩的数据帧时会触发error并关闭连接。
+     */
+    compression?: boolean;
+
+    /**
+     * 开启压缩时，数据帧超过多少byte才压缩。默认1024
+     */
+    compressionThreshold?: number;
+
+    /**
+     * 是否以可靠模式发送消息（send），默认false。    
+     * 对方处理完消息后会回复确认，收到确认后 send 返回的promise才会resolve。
+     * 断线重连之后会重发还没有收到确认的消息，对方会根据消息ID丢弃重复的消息。
+     */
+    reliable?: boolean | ReliableConfig;
+
+    /**
+     * 监控指标的收集器，可以传入多个。内置的有 PrometheusMetrics（导出Prometheus格式的指标）与 FrameTracer（打印收发的每一个数据帧）。    
+     * 配置在 Server 上时，服务器端接收到的所有连接都会使用。
+     */
+    metrics?: Metrics | Metrics[];
 }
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * binary-ws 自定义的关闭代码。（4000-4999 是 WebSocket 协议预留给应用程序使用的）
+ * 
+ * @export
+ * @enum {number}
+ */
+export enum CloseCode {
+    /**
+     * 心跳超时，对方在规定的时间内没有回应
+     */
+    heartbeatTimeout = 4000,
+
+    /**
+     * 身份验证失败或超时
+     */
+    authFailed = 4001,
+
+    /**
+     * 超出了服务器的频率限制或连接数限制
+     */
+    rateLimited = 4002
+}
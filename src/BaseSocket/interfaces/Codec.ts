@@ -0,0 +1,17 @@
+/**
+ * 消息数据的编码器。负责在发送前将数据编码成Buffer，接收后再解码回来
+ * 
+ * @export
+ * @interface Codec
+ */
+export interface Codec {
+    /**
+     * 将要发送的数据编码成Buffer
+     */
+    encode(data: any): Buffer;
+
+    /**
+     * 将接收到的Buffer解码
+     */
+    decode(data: Buffer): any;
+}
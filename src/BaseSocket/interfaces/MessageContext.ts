@@ -0,0 +1,39 @@
+import { BaseSocket } from '../classes/BaseSocket';
+
+/**
+ * 路由处理收到的消息时，传给中间件与处理器的上下文
+ *
+ * @export
+ * @interface MessageContext
+ */
+export interface MessageContext<S extends BaseSocket = BaseSocket> {
+    /**
+     * 收到消息的接口
+     */
+    socket: S;
+
+    /**
+     * 消息的完整标题（包含命名空间）
+     */
+    title: string;
+
+    /**
+     * 解码后的数据。中间件可以替换它，例如进一步解码
+     */
+    data: any;
+
+    /**
+     * 最近一次匹配的路由中，通配符依次匹配到的内容
+     */
+    params: string[];
+
+    /**
+     * 方便中间件向之后的处理器传递数据
+     */
+    state: { [key: string]: any };
+}
+
+/**
+ * 中间件与消息处理器。调用next交给之后匹配的中间件或处理器，不调用则处理到此为止
+ */
+export type MessageHandler<S extends BaseSocket = BaseSocket> = (ctx: MessageContext<S>, next: () => Promise<void>) => any;
@@ -0,0 +1,102 @@
+/**
+ * 描述数据帧的类型
+ * 
+ * @export
+ * @enum {number}
+ */
+export enum MessageType {
+    /**
+     * 普通消息
+     */
+    message,
+
+    /**
+     * 请求。需要对方回复
+     */
+    request,
+
+    /**
+     * 请求的响应
+     */
+    response,
+
+    /**
+     * 请求处理失败时返回的错误响应
+     */
+    error,
+
+    /**
+     * 数据流开始。携带了标题与数据的总大小
+     */
+    streamStart,
+
+    /**
+     * 数据流中的一块数据
+     */
+    streamChunk,
+
+    /**
+     * 数据流结束
+     */
+    streamEnd,
+
+    /**
+     * 发送方取消了数据流的发送
+     */
+    streamCancel,
+
+    /**
+     * 接收方取消了数据流的接收
+     */
+    streamReject,
+
+    /**
+     * 应用层的心跳。供无法发送 WebSocket ping 帧的浏览器使用
+     */
+    ping,
+
+    /**
+     * 应用层心跳的回应
+     */
+    pong,
+
+    /**
+     * 客户端发送的身份验证数据
+     */
+    auth,
+
+    /**
+     * 服务器端确认身份验证通过
+     */
+    authAccepted,
+
+    /**
+     * 需要对方确认的消息。携带了消息的ID，用于确认与去重
+     */
+    reliableMessage,
+
+    /**
+     * 确认收到了可靠消息
+     */
+    ack,
+
+    /**
+     * 连接建立后发送方告知自己的会话标识，接收方据此判断重发的消息是否已经处理过
+     */
+    resume,
+
+    /**
+     * 接收方的缓冲区满了，发送方暂停发送数据流
+     */
+    streamPause,
+
+    /**
+     * 接收方的缓冲区有空间了，发送方继续发送数据流
+     */
+    streamResume,
+
+    /**
+     * 连接建立后告知对方自己开启了压缩，可以接收在应用层压缩的数据帧
+     */
+    compression
+}
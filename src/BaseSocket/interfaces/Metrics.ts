@@ -0,0 +1,35 @@
+import { BaseSocket } from '../classes/BaseSocket';
+import { MessageType } from './MessageType';
+
+/**
+ * 监控指标的收集器。所有的钩子都是可选的，没有配置 metrics 时不会产生任何额外的开销
+ * 
+ * @export
+ * @interface Metrics
+ */
+export interface Metrics {
+    /**
+     * 连接建立。客户端在每次连接（包括重连）成功之后触发，服务器端在连接通过验证之后触发
+     */
+    connectionOpened?(socket: BaseSocket): void;
+
+    /**
+     * 底层连接断开。只有触发过 connectionOpened 的连接才会触发
+     */
+    connectionClosed?(socket: BaseSocket, code: number, reason: string): void;
+
+    /**
+     * 发送了一个数据帧。size为数据帧压缩之前的大小（byte）
+     */
+    frameSent?(socket: BaseSocket, type: MessageType, title: string, size: number): void;
+
+    /**
+     * 接收到一个数据帧。size为数据帧解压之后的大小（byte）
+     */
+    frameReceived?(socket: BaseSocket, type: MessageType, title: string, size: number): void;
+
+    /**
+     * 一个数据帧从放入发送队列到发送完成所用的时间（毫秒）
+     */
+    sendLatency?(socket: BaseSocket, type: MessageType, title: string, latency: number): void;
+}
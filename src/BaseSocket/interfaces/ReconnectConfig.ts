@@ -0,0 +1,22 @@
+/**
+ * 自动重连配置
+ * 
+ * @export
+ * @interface ReconnectConfig
+ */
+export interface ReconnectConfig {
+    /**
+     * 最多连续重连多少次，超过之后放弃重连并触发close事件。默认0 不限制次数
+     */
+    maxAttempts?: number;
+
+    /**
+     * 第一次重连前等待的时间（毫秒），之后每次翻倍。默认1000
+     */
+    minDelay?: number;
+
+    /**
+     * 两次重连之间最长等待的时间（毫秒）。默认30000
+     */
+    maxDelay?: number;
+}
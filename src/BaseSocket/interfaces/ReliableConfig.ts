@@ -0,0 +1,12 @@
+/**
+ * 可靠消息配置
+ * 
+ * @export
+ * @interface ReliableConfig
+ */
+export interface ReliableConfig {
+    /**
+     * 最多保留多少条还没有收到确认的消息（包括还在发送队列中的）。超过之后 send 会直接失败。默认1000
+     */
+    bufferSize?: number;
+}
@@ -1,50 +1,130 @@
 import { BaseSocket } from "../../BaseSocket/classes/BaseSocket";
-import { BaseSocketConfig } from "../../BaseSocket/interfaces/BaseSocketConfig";
 import { ReadyState } from "../../BaseSocket/interfaces/ReadyState";
+import { BrowserSocketConfig } from "../interfaces/BrowserSocketConfig";
 
 if (Buffer == null) Buffer = require('buffer/').Buffer;
 const nodeBufferToArraybuffer = require('to-arraybuffer');
 
 export class BrowserSocket extends BaseSocket {
 
-    protected readonly _socket: WebSocket;
+    protected _socket: WebSocket;
 
-    constructor(configs: BaseSocketConfig = { url: `ws${location.protocol === 'https:' ? 's' : ''}://${location.host}` }) {
+    /**
+     * 浏览器发送缓冲区的上限。为0时每次只发送一个数据帧
+     */
+    private readonly _highWaterMark: number;
+
+    /**
+     * 当前连接累计交给浏览器发送的数据大小
+     */
+    private _sentBytes = 0;
+
+    /**
+     * 已经交给浏览器但还没有发送出去的数据帧。end是数据帧的末尾在 _sentBytes 中的位置
+     */
+    private readonly _inFlight: { end: number, resolve: () => void, reject: (err: Error) => void }[] = [];
+
+    /**
+     * 检查发送缓冲区的计时器
+     */
+    private _flushTimer: any;
+
+    /**
+     * 发送缓冲区是否超过了上限
+     */
+    private _congested = false;
+
+    constructor(configs: BrowserSocketConfig = { url: `ws${location.protocol === 'https:' ? 's' : ''}://${location.host}` }) {
         super(new WebSocket(configs.url), configs);
+        this._highWaterMark = configs.highWaterMark == null ? 16 * 1024 : configs.highWaterMark < 0 ? 0 : configs.highWaterMark;
+        this._bindSocket(this._socket);
+    }
+
+    protected _createSocket(): WebSocket {
+        const socket = new WebSocket(this.url);
+        this._bindSocket(socket);
+        return socket;
+    }
+
+    /**
+     * 为底层连接绑定事件。已经被替换掉的连接触发的事件会被忽略
+     */
+    private _bindSocket(socket: WebSocket) {
+        socket.binaryType = 'arraybuffer';
+        socket.onopen = () => { if (socket === this._socket) this._onOpen() };
+        socket.onclose = (ev) => { if (socket === this._socket) { this._clearInFlight(); this._onClose(ev.code, ev.reason); } };
+        socket.onerror = (err) => { if (socket === this._socket) { console.error(err); this._onError(new Error('连接异常')); } };
+        socket.onmessage = (e) => { if (socket === this._socket) this._receiveData(Buffer.from(e.data)) };
+    }
+
+    protected _terminate() {
+        //浏览器无法直接断开TCP连接，close又需要等待关闭握手完成，所以这里直接丢弃旧的连接
+        const socket = this._socket;
+        socket.onopen = socket.onclose = socket.onerror = socket.onmessage = null;
+        socket.close();
+        this._clearInFlight();
+        this._onClose(1006, '');
+    }
 
-        this._socket.binaryType = 'arraybuffer';
-        this._socket.onopen = () => this.emit('open');
-        this._socket.onclose = (ev) => this.emit('close', ev.code, ev.reason);
-        this._socket.onerror = (err) => { console.error(err), this.emit('error', new Error('连接异常')); }
-        this._socket.onmessage = (e) => this._receiveData(Buffer.from(e.data));
+    protected _isWritable(): boolean {
+        return this._socket.readyState === ReadyState.OPEN && this._socket.bufferedAmount < this._highWaterMark;
     }
 
     protected _sendData(data: Buffer): Promise<void> {
         return new Promise((resolve, reject) => {
-            if (this.readyState === ReadyState.OPEN) {  //确保网络连接还打开着
+            if (this._socket.readyState === ReadyState.OPEN) {  //确保网络连接还打开着
                 this._socket.send(nodeBufferToArraybuffer(data));  //不可以直接发送buffer
-                const check = (interval: number) => {
-                    setTimeout(() => {
-                        if (this.readyState === ReadyState.OPEN) {  //确保网络连接还打开着
-                            if (this._socket.bufferedAmount === 0) {
-                                resolve();
-                            } else {
-                                check(interval >= 2000 ? 2000 : interval * 2); //最慢2秒检查一次
-                            }
-                        } else {
-                            reject('网络中断');
-                        }
-                    }, interval);
+                this._sentBytes += data.length;
+                this._inFlight.push({ end: this._sentBytes, resolve, reject });
+
+                if (this._highWaterMark > 0 && !this._congested && this._socket.bufferedAmount >= this._highWaterMark) {
+                    this._congested = true;
+                    this._onBackpressure();
                 }
 
-                check(1);
+                this._watchBuffer(1);
             } else {
-                reject('网络中断');
+                reject(new Error('网络中断'));
             }
         });
     }
 
-    close() {
-        this._socket.close();
+    /**
+     * 浏览器没有提供缓冲区变化的事件，所以只能定时检查 bufferedAmount。    
+     * 缓冲区减少了多少，就说明有多少数据发送出去了，据此依次完成对应的数据帧。没有进展时检查间隔逐渐加长，最长100毫秒
+     */
+    private _watchBuffer(interval: number) {
+        if (this._flushTimer !== undefined) return;
+
+        this._flushTimer = setTimeout(() => {
+            this._flushTimer = undefined;
+
+            const flushed = this._sentBytes - this._socket.bufferedAmount;
+            const progressed = this._inFlight.length > 0 && this._inFlight[0].end <= flushed;
+
+            while (this._inFlight.length > 0 && this._inFlight[0].end <= flushed)
+                (this._inFlight.shift() as any).resolve();
+
+            if (this._congested && this._socket.bufferedAmount < this._highWaterMark) {
+                this._congested = false;
+                this._onDrain();
+            }
+
+            if (this._inFlight.length > 0)
+                this._watchBuffer(progressed ? 1 : Math.min(interval * 2, 100));
+        }, interval);
+    }
+
+    /**
+     * 连接断开，还没有发送出去的数据帧全部失败
+     */
+    private _clearInFlight() {
+        clearTimeout(this._flushTimer);
+        this._flushTimer = undefined;
+        this._sentBytes = 0;
+        this._congested = false;
+
+        for (const item of this._inFlight.splice(0))
+            item.reject(new Error('网络中断'));
     }
 }
\ No newline at end of file
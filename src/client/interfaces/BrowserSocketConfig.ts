@@ -0,0 +1,18 @@
+import { BaseSocketConfig } from "../../BaseSocket/interfaces/BaseSocketConfig";
+
+/**
+ * 浏览器端socket 接口构造函数参数
+ * 
+ * @export
+ * @interface BrowserSocketConfig
+ * @extends {BaseSocketConfig}
+ */
+export interface BrowserSocketConfig extends BaseSocketConfig {
+
+    /**
+     * 浏览器发送缓冲区（WebSocket.bufferedAmount）的上限（byte），默认16KB。    
+     * 缓冲区没有超过上限就可以连续发送多个数据帧，而不必等待上一个发送完成。为0时每次只发送一个数据帧，等到发送完成之后再发送下一个。    
+     * 注意：已经交给浏览器的数据帧无法再被 cancel 取消，只有还在队列中排队的消息可以取消。上限越大，能取消的消息越少
+     */
+    highWaterMark?: number;
+}
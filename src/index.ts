@@ -1,5 +1,16 @@
 export { BrowserSocket } from "./client/classes/BrowserSocket";
 export { ServerSocket } from "./server/classes/ServerSocket";
 export { BaseSocket } from "./BaseSocket/classes/BaseSocket";
+export { MessageStream } from "./BaseSocket/classes/MessageStream";
 export { ReadyState } from "./BaseSocket/interfaces/ReadyState";
+export { CloseCode } from "./BaseSocket/interfaces/CloseCode";
 export { Server } from "./server/classes/Server";
+export { Codec } from "./BaseSocket/interfaces/Codec";
+export { BroadcastResult } from "./server/interfaces/BroadcastResult";
+export { RateLimitEvent } from "./server/interfaces/RateLimitEvent";
+export { MessageType } from "./BaseSocket/interfaces/MessageType";
+export { Metrics } from "./BaseSocket/interfaces/Metrics";
+export { FrameTracer } from "./BaseSocket/classes/FrameTracer";
+export { PrometheusMetrics } from "./server/classes/PrometheusMetrics";
+export { Router } from "./BaseSocket/classes/Router";
+export { MessageContext, MessageHandler } from "./BaseSocket/interfaces/MessageContext";
\ No newline at end of file
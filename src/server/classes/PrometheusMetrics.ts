@@ -0,0 +1,208 @@
+import * as http from 'http';
+import * as https from 'https';
+import { parse } from 'url';
+
+import { BaseSocket } from '../../BaseSocket/classes/BaseSocket';
+import { Metrics } from '../../BaseSocket/interfaces/Metrics';
+import { MessageType } from '../../BaseSocket/interfaces/MessageType';
+
+/**
+ * 发送耗时直方图的分桶（秒）
+ */
+const LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5];
+
+/**
+ * 数据帧大小直方图的分桶（byte）
+ */
+const SIZE_BUCKETS = [64, 256, 1024, 4096, 16384, 65536, 262144, 1048576];
+
+/**
+ * 超出数量限制或不在允许列表中的标题统一使用的标签值
+ */
+const OTHER_TITLE = 'other';
+
+/**
+ * 收集监控指标，并以 Prometheus 的文本格式导出
+ */
+export class PrometheusMetrics implements Metrics {
+
+    /**
+     * 当前建立着的连接
+     */
+    private readonly _sockets: Set<BaseSocket> = new Set();
+
+    /**
+     * 所有的计数器。key是指标名称，value的key是序列化后的标签
+     */
+    private readonly _counters: Map<string, Map<string, number>> = new Map();
+
+    /**
+     * 所有的直方图。key是指标名称，value的key是序列化后的标签
+     */
+    private readonly _histograms: Map<string, Map<string, { bounds: number[], buckets: number[], sum: number, count: number }>> = new Map();
+
+    /**
+     * 已经作为标签单独统计的标题
+     */
+    private readonly _titles: Set<string> = new Set();
+
+    /**
+     * 最多单独统计多少个不同的标题
+     */
+    private readonly _maxTitles: number;
+
+    /**
+     * 只单独统计这些标题。undefined表示不限制
+     */
+    private readonly _allowedTitles?: Set<string>;
+
+    /**
+     * 标题是由对方发送的，为了避免对方发送大量不同的标题导致指标无限增长，超出限制的标题统一记为 title="other"
+     * @param options.maxTitles 最多单独统计多少个不同的标题，默认100
+     * @param options.titles 只单独统计这些标题。设置后 maxTitles 不起作用
+     */
+    constructor(options: { maxTitles?: number, titles?: string[] } = {}) {
+        this._maxTitles = options.maxTitles == null || options.maxTitles < 0 ? 100 : options.maxTitles;
+        if (options.titles !== undefined) this._allowedTitles = new Set(options.titles);
+    }
+
+    connectionOpened(socket: BaseSocket) {
+        this._sockets.add(socket);
+        this._inc('binary_ws_connections_opened_total', '');
+    }
+
+    connectionClosed(socket: BaseSocket, code: number) {
+        this._sockets.delete(socket);
+        this._inc('binary_ws_connections_closed_total', labels({ code: code.toString() }));
+    }
+
+    frameSent(socket: BaseSocket, type: MessageType, title: string, size: number) {
+        const frameLabels = labels({ type: MessageType[type], title: this._title(title) });
+        this._inc('binary_ws_frames_sent_total', frameLabels);
+        this._inc('binary_ws_bytes_sent_total', frameLabels, size);
+        this._observe('binary_ws_frame_size_bytes', labels({ direction: 'sent' }), SIZE_BUCKETS, size);
+    }
+
+    frameReceived(socket: BaseSocket, type: MessageType, title: string, size: number) {
+        const frameLabels = labels({ type: MessageType[type], title: this._title(title) });
+        this._inc('binary_ws_frames_received_total', frameLabels);
+        this._inc('binary_ws_bytes_received_total', frameLabels, size);
+        this._observe('binary_ws_frame_size_bytes', labels({ direction: 'received' }), SIZE_BUCKETS, size);
+    }
+
+    sendLatency(socket: BaseSocket, type: MessageType, title: string, latency: number) {
+        this._observe('binary_ws_send_latency_seconds', labels({ type: MessageType[type] }), LATENCY_BUCKETS, latency / 1000);
+    }
+
+    /**
+     * 以 Prometheus 的文本格式导出当前的所有指标
+     */
+    render(): string {
+        const lines: string[] = [];
+
+        let queued = 0;
+        for (const socket of this._sockets)
+            queued += socket.bufferedAmount;
+
+        lines.push('# HELP binary_ws_connections_active 当前建立着的连接数', '# TYPE binary_ws_connections_active gauge');
+        lines.push(`binary_ws_connections_active ${this._sockets.size}`);
+        lines.push('# HELP binary_ws_queue_bytes 所有连接的发送队列中等待发送的数据大小', '# TYPE binary_ws_queue_bytes gauge');
+        lines.push(`binary_ws_queue_bytes ${queued}`);
+
+        for (const [name, series] of this._counters) {
+            lines.push(`# TYPE ${name} counter`);
+
+            for (const [key, value] of series)
+                lines.push(`${name}${key ? `{${key}}` : ''} ${value}`);
+        }
+
+        for (const [name, series] of this._histograms) {
+            lines.push(`# TYPE ${name} histogram`);
+
+            for (const [key, { bounds, buckets, sum, count }] of series) {
+                const prefix = key ? key + ',' : '';
+
+                bounds.forEach((bound, index) => lines.push(`${name}_bucket{${prefix}le="${bound}"} ${buckets[index]}`));
+                lines.push(`${name}_bucket{${prefix}le="+Inf"} ${count}`);
+                lines.push(`${name}_sum${key ? `{${key}}` : ''} ${sum}`);
+                lines.push(`${name}_count${key ? `{${key}}` : ''} ${count}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 响应 Prometheus 的抓取请求
+     */
+    handleRequest(req: http.IncomingMessage, res: http.ServerResponse) {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(this.render());
+    }
+
+    /**
+     * 将导出地址挂载到http服务器上。其他路径的请求仍然交给之前注册的request监听器处理，所以需要在注册完其他监听器之后再调用
+     * @param server http服务器
+     * @param path 导出地址的路径。默认 /metrics
+     */
+    mount(server: http.Server | https.Server, path: string = '/metrics') {
+        const listeners = server.listeners('request').slice(0);
+        server.removeAllListeners('request');
+
+        server.on('request', (req: http.IncomingMessage, res: http.ServerResponse) => {
+            if (req.method === 'GET' && parse(req.url || '').pathname === path)
+                this.handleRequest(req, res);
+            else
+                for (const listener of listeners)
+                    listener.call(server, req, res);
+        });
+    }
+
+    /**
+     * 获取标题对应的标签值
+     */
+    private _title(title: string): string {
+        if (this._allowedTitles !== undefined)
+            return this._allowedTitles.has(title) ? title : OTHER_TITLE;
+
+        if (this._titles.has(title)) return title;
+
+        if (this._titles.size < this._maxTitles) {
+            this._titles.add(title);
+            return title;
+        }
+
+        return OTHER_TITLE;
+    }
+
+    /**
+     * 计数器加上value
+     */
+    private _inc(name: string, key: string, value: number = 1) {
+        let series = this._counters.get(name);
+        if (series === undefined) this._counters.set(name, series = new Map());
+        series.set(key, (series.get(key) || 0) + value);
+    }
+
+    /**
+     * 直方图记录一个值
+     */
+    private _observe(name: string, key: string, bounds: number[], value: number) {
+        let series = this._histograms.get(name);
+        if (series === undefined) this._histograms.set(name, series = new Map());
+
+        let item = series.get(key);
+        if (item === undefined) series.set(key, item = { bounds, buckets: bounds.map(() => 0), sum: 0, count: 0 });
+
+        bounds.forEach((bound, index) => { if (value <= bound) (item as any).buckets[index]++; });
+        item.sum += value;
+        item.count++;
+    }
+}
+
+/**
+ * 序列化标签。标签值中的反斜杠、双引号与换行需要转义
+ */
+function labels(values: { [name: string]: string }): string {
+    return Object.keys(values).map(name => `${name}="${values[name].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',');
+}
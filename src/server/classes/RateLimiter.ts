@@ -0,0 +1,262 @@
+import { ServerSocket } from './ServerSocket';
+import { MessageType } from '../../BaseSocket/interfaces/MessageType';
+import { CloseCode } from '../../BaseSocket/interfaces/CloseCode';
+import { RateLimitConfig, TokenBucketConfig } from '../interfaces/RateLimitConfig';
+
+/**
+ * 延迟处理时最多排队多少个数据帧，超过之后关闭连接
+ */
+const MAX_DELAYED = 1000;
+
+/**
+ * 受频率限制的数据帧。其他的数据帧（例如响应、数据流结束）不计入限制，只是在有数据帧被延迟时排在后面以保持顺序
+ */
+const LIMITED_TYPES = [MessageType.message, MessageType.reliableMessage, MessageType.request, MessageType.streamStart, MessageType.streamChunk];
+
+/**
+ * 令牌桶
+ */
+class TokenBucket {
+
+    /**
+     * 每毫秒补充的令牌数量
+     */
+    private readonly _rate: number;
+
+    /**
+     * 令牌桶的容量
+     */
+    private readonly _capacity: number;
+
+    /**
+     * 当前剩余的令牌。取出超过容量的数量时会变成负数
+     */
+    private _tokens: number;
+
+    /**
+     * 上一次补充令牌的时间
+     */
+    private _lastRefill = Date.now();
+
+    constructor(configs: TokenBucketConfig) {
+        this._rate = configs.rate / 1000;
+        this._capacity = configs.burst == null ? configs.rate : configs.burst;
+        this._tokens = this._capacity;
+    }
+
+    /**
+     * 还需要等待多少毫秒才能取出amount个令牌，0表示现在就可以。超过容量的数量只要令牌桶是满的就可以取出
+     */
+    wait(amount: number): number {
+        const now = Date.now();
+        this._tokens = Math.min(this._capacity, this._tokens + (now - this._lastRefill) * this._rate);
+        this._lastRefill = now;
+
+        const need = Math.min(amount, this._capacity);
+        return this._tokens >= need ? 0 : Math.ceil((need - this._tokens) / this._rate);
+    }
+
+    /**
+     * 取出令牌
+     */
+    take(amount: number) {
+        this._tokens -= amount;
+    }
+}
+
+/**
+ * 根据 RateLimitConfig 限制一个接口接收数据帧的频率
+ */
+export class RateLimiter {
+
+    private readonly _socket: ServerSocket;
+
+    private readonly _configs: RateLimitConfig;
+
+    /**
+     * 超出限制时的回调
+     */
+    private readonly _onLimit: (limit: string, action: 'drop' | 'delay' | 'close', title: string) => void;
+
+    private readonly _messages?: TokenBucket;
+
+    private readonly _bytes?: TokenBucket;
+
+    /**
+     * 针对特定标题的令牌桶。key是消息的标题
+     */
+    private readonly _titles: Map<string, { messages?: TokenBucket, bytes?: TokenBucket }> = new Map();
+
+    /**
+     * 正在处理的请求数量
+     */
+    private _pendingRequests = 0;
+
+    /**
+     * 被延迟处理的数据帧
+     */
+    private readonly _delayed: { type: MessageType, title: string, size: number, process: () => void }[] = [];
+
+    /**
+     * 等待令牌补充的计时器
+     */
+    private _timer: any;
+
+    constructor(socket: ServerSocket, configs: RateLimitConfig, onLimit: (limit: string, action: 'drop' | 'delay' | 'close', title: string) => void) {
+        this._socket = socket;
+        this._configs = configs;
+        this._onLimit = onLimit;
+
+        if (configs.messages) this._messages = new TokenBucket(configs.messages);
+        if (configs.bytes) this._bytes = new TokenBucket(configs.bytes);
+
+        socket.once('close', () => {
+            clearTimeout(this._timer);
+            this._timer = undefined;
+            this._delayed.length = 0;
+        });
+    }
+
+    /**
+     * 判断是否可以立即处理接收到的数据帧。超出限制时根据配置丢弃、延迟或关闭连接。    
+     * 可靠消息不会被丢弃，超出限制时总是延迟处理，否则发送方会一直等待确认
+     * @param process 被延迟的数据帧之后通过这个处理
+     * @param drop 数据帧被丢弃时调用，需要告知发送方
+     */
+    admit(type: MessageType, title: string, size: number, process: () => void, drop: () => void): boolean {
+        let action = this._configs.action || 'drop';
+
+        if (this._delayed.length > 0) {     //前面还有被延迟的数据帧，需要保持顺序
+            if (this._delayed.length >= MAX_DELAYED) {
+                this._onLimit('delayQueue', 'close', title);
+                this._socket.close(CloseCode.rateLimited, '超出频率限制');
+            } else
+                this._delayed.push({ type, title, size, process });
+
+            return false;
+        }
+
+        if (LIMITED_TYPES.indexOf(type) === -1) return true;
+
+        const exceeded = this._check(type, title, size);
+
+        if (exceeded === undefined) {
+            this._consume(type, title, size);
+            return true;
+        }
+
+        if (action === 'drop' && type === MessageType.reliableMessage) action = 'delay';
+
+        this._onLimit(exceeded.limit, action, title);
+
+        switch (action) {
+            case 'drop':
+                drop();
+                break;
+
+            case 'close':
+                this._socket.close(CloseCode.rateLimited, '超出频率限制');
+                break;
+
+            case 'delay':
+                this._delayed.push({ type, title, size, process });
+                this._schedule(exceeded.wait);
+                break;
+        }
+
+        return false;
+    }
+
+    requestStarted() {
+        this._pendingRequests++;
+    }
+
+    requestFinished() {
+        this._pendingRequests--;
+        if (this._timer === undefined && this._delayed.length > 0) this._flush();   //可能正在等待请求处理完成
+    }
+
+    /**
+     * 检查是否超出了限制。返回超出的限制与需要等待的毫秒数（-1表示需要等待请求处理完成）
+     */
+    private _check(type: MessageType, title: string, size: number): { limit: string, wait: number } | undefined {
+        if (type === MessageType.request && this._configs.maxPendingRequests !== undefined && this._pendingRequests >= this._configs.maxPendingRequests)
+            return { limit: 'pendingRequests', wait: -1 };
+
+        for (const [limit, bucket, amount] of this._buckets(type, title, size)) {
+            const wait = bucket.wait(amount);
+            if (wait > 0) return { limit, wait };
+        }
+    }
+
+    /**
+     * 从数据帧对应的令牌桶中取出令牌
+     */
+    private _consume(type: MessageType, title: string, size: number) {
+        for (const [, bucket, amount] of this._buckets(type, title, size))
+            bucket.take(amount);
+    }
+
+    /**
+     * 获取数据帧需要经过的令牌桶，以及需要取出的令牌数量
+     */
+    private _buckets(type: MessageType, title: string, size: number): [string, TokenBucket, number][] {
+        const result: [string, TokenBucket, number][] = [];
+        const isMessage = type === MessageType.message || type === MessageType.reliableMessage || type === MessageType.request || type === MessageType.streamStart;
+
+        if (this._bytes !== undefined) result.push(['bytes', this._bytes, size]);
+
+        if (isMessage) {
+            if (this._messages !== undefined) result.push(['messages', this._messages, 1]);
+
+            const titles = this._configs.titles;
+
+            if (titles !== undefined && Object.prototype.hasOwnProperty.call(titles, title)) {
+                let buckets = this._titles.get(title);
+
+                if (buckets === undefined) {
+                    const configs = titles[title];
+                    this._titles.set(title, buckets = {
+                        messages: configs.messages && new TokenBucket(configs.messages),
+                        bytes: configs.bytes && new TokenBucket(configs.bytes)
+                    });
+                }
+
+                if (buckets.messages !== undefined) result.push(['titleMessages', buckets.messages, 1]);
+                if (buckets.bytes !== undefined) result.push(['titleBytes', buckets.bytes, size]);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 等待一段时间之后继续处理被延迟的数据帧
+     */
+    private _schedule(wait: number) {
+        if (wait >= 0)
+            this._timer = setTimeout(() => this._flush(), wait);
+    }
+
+    /**
+     * 依次处理被延迟的数据帧，直到再次超出限制
+     */
+    private _flush() {
+        this._timer = undefined;
+
+        while (this._delayed.length > 0) {
+            const item = this._delayed[0];
+            const limited = LIMITED_TYPES.indexOf(item.type) !== -1;
+            const exceeded = limited ? this._check(item.type, item.title, item.size) : undefined;
+
+            if (exceeded !== undefined) {
+                this._schedule(exceeded.wait);
+                return;
+            }
+
+            this._delayed.shift();
+            if (limited) this._consume(item.type, item.title, item.size);
+            item.process();
+        }
+    }
+}
@@ -2,14 +2,42 @@ import * as WS from 'ws';
 import * as Emitter from 'component-emitter';
 import * as http from 'http';
 import * as https from 'https';
+import * as net from 'net';
 import { URL } from 'url';
 
 import { ServerSocket } from './ServerSocket';
-import { BaseSocketConfig } from '../../BaseSocket/interfaces/BaseSocketConfig';
+import { BaseSocket } from '../../BaseSocket/classes/BaseSocket';
+import { ServerConfig } from '../interfaces/ServerConfig';
+import { Codec } from '../../BaseSocket/interfaces/Codec';
+import { BroadcastResult } from '../interfaces/BroadcastResult';
+import { RateLimitConfig } from '../interfaces/RateLimitConfig';
+import { RateLimitEvent } from '../interfaces/RateLimitEvent';
+import { RateLimiter } from './RateLimiter';
+import { Router } from '../../BaseSocket/classes/Router';
+import { MessageHandler } from '../../BaseSocket/interfaces/MessageContext';
+import { CloseCode } from '../../BaseSocket/interfaces/CloseCode';
+
+/**
+ * 最多记录多少个客户端会话的可靠消息接收进度
+ */
+const RELIABLE_SESSIONS_LIMIT = 10000;
+
+/**
+ * 绑定在同一个http服务器上的所有Server，以及负责分发升级请求的upgrade事件监听器
+ */
+const mounted: WeakMap<http.Server | https.Server, { servers: Server[], listener: (req: http.IncomingMessage, socket: net.Socket, head: Buffer) => void }> = new WeakMap();
 
 export class Server extends Emitter {
 
-    private readonly _http: http.Server | https.Server;
+    /**
+     * 绑定的http服务器。noServer模式下为undefined
+     */
+    private readonly _http: http.Server | https.Server | undefined;
+
+    /**
+     * 与绑定的http服务器解除绑定
+     */
+    private _unmount: (() => void) | undefined;
 
     private readonly _ws: WS.Server;
 
@@ -19,42 +47,378 @@ export class Server extends Emitter {
     readonly clients: Map<number, ServerSocket> = new Map();
 
     /**
-     * 创建binary-ws Server。
+     * 通过 registerCodec 注册的编码器。新建立的连接都会注册这些编码器
+     */
+    private readonly _codecs: { name: string, id: number, codec: Codec }[] = [];
+
+    /**
+     * 房间索引。key是房间名称，value是加入了该房间的接口
+     */
+    private readonly _rooms: Map<string, Set<ServerSocket>> = new Map();
+
+    /**
+     * 客户端会话的可靠消息接收进度。key是客户端的会话标识，value是最后处理的消息ID。按最近使用的顺序排列
+     */
+    private readonly _reliableSessions: Map<string, number> = new Map();
+
+    /**
+     * 频率限制与连接数限制配置
+     */
+    private readonly _rateLimit?: RateLimitConfig;
+
+    /**
+     * 每个IP当前的连接数
+     */
+    private readonly _connectionsPerIP: Map<string, number> = new Map();
+
+    /**
+     * 服务器级别的消息路由。所有的接口共用这个对象
+     */
+    private readonly _routes: { router: Router<ServerSocket>, fallback?: MessageHandler<ServerSocket> } = { router: new Router() };
+
+    /**
+     * verifyClient 的验证结果。key是客户端建立连接时发送的请求
+     */
+    private readonly _verified: WeakMap<http.IncomingMessage, any> = new WeakMap();
+
+    /**
+     * 创建binary-ws Server。    
+     * 同一个http服务器上可以绑定多个Server，升级请求会根据 configs.url 中的路径分发给对应的Server，
+     * 没有匹配的Server并且也没有其他的upgrade监听器时返回400。
      * @param server 要绑定的http服务器
      * @param configs 接口配置
      */
-    constructor(server: http.Server | https.Server, configs: BaseSocketConfig) {
+    constructor(server: http.Server | https.Server, configs: ServerConfig)
+    /**
+     * 以noServer模式创建binary-ws Server。需要自己监听http服务器的upgrade事件，然后调用 handleUpgrade
+     * @param configs 接口配置
+     */
+    constructor(configs: ServerConfig)
+    constructor(arg1: http.Server | https.Server | ServerConfig, arg2?: ServerConfig) {
         super();
 
-        this._http = server;
-        this._http.once('close', this.emit.bind(this, 'close'));
+        const server = arg2 === undefined ? undefined : arg1 as http.Server | https.Server;
+        const configs = arg2 === undefined ? arg1 as ServerConfig : arg2;
+
+        const verifyClient = configs.verifyClient;
+        this._rateLimit = configs.rateLimit;
 
         this._ws = new WS.Server({
-            server,
-            maxPayload: configs.maxPayload == null || configs.maxPayload <= 0 ? undefined : configs.maxPayload + 4, //多加4是因为title长度还会占一部分控件
-            path: (new URL(configs.url)).pathname
+            noServer: true,
+            maxPayload: configs.maxPayload == null || configs.maxPayload <= 0 ? undefined : configs.maxPayload + BaseSocket.headerSize, //数据帧头部还会占一部分空间
+            path: (new URL(configs.url)).pathname,
+            perMessageDeflate: configs.compression ? { threshold: 0 } : false,    //是否压缩由 BaseSocket 决定
+            verifyClient: verifyClient === undefined && this._rateLimit === undefined ? undefined : (info, cb) => {
+                const ip = clientIP(info.req);
+                const limit = this._connectionLimit(ip, false);
+
+                if (limit !== undefined) {
+                    this.emit('rateLimit', { limit, action: 'reject', ip });
+                    return cb(false, 503);
+                }
+
+                if (verifyClient === undefined) return cb(true);
+
+                (async () => verifyClient(info.req))().then(result => {
+                    if (result === false)
+                        cb(false, 401);
+                    else {
+                        this._verified.set(info.req, result);
+                        cb(true);
+                    }
+                }).catch(err => cb(false, err && err.statusCode || 401, err && err.message));
+            }
         });
 
-        this._ws.on('error', this.emit.bind(this, 'error'));
-        this._ws.once('listening', this.emit.bind(this, 'listening'));
+        if (server !== undefined) {
+            this._http = server;
+            this._mount(server);
+        }
 
         this._ws.on('connection', (client, req) => {
-            const socket = new ServerSocket(configs, client);
-            this.clients.set(socket.id, socket);
+            const ip = clientIP(req);
+            this._connectionsPerIP.set(ip, (this._connectionsPerIP.get(ip) || 0) + 1);
+
+            client.once('close', () => {
+                const count = (this._connectionsPerIP.get(ip) as number) - 1;
+                count > 0 ? this._connectionsPerIP.set(ip, count) : this._connectionsPerIP.delete(ip);
+            });
+
+            const limit = this._connectionLimit(ip, true);  //握手时检查过了，但同时进行的握手可能都通过了检查
+            if (limit !== undefined) {
+                this.emit('rateLimit', { limit, action: 'close', ip });
+                client.close(CloseCode.rateLimited, '超出连接数限制');
+                return;
+            }
+
+            const socket = new ServerSocket(configs, client, this._rooms);
+            socket._serverRoutes = this._routes;
+            socket.on('error', err => {     //接口如果出现异常则关闭。消息处理器抛出的异常除外
+                if (!Router.isHandlerError(err)) socket.close();
+            });
+
+            if (this._rateLimit !== undefined) {
+                socket._rateLimiter = new RateLimiter(socket, this._rateLimit, (limit, action, title) => {
+                    this.emit('rateLimit', { limit, action, ip, socket, title });
+                });
+            }
+
+            socket._reliableStore = {   //客户端重连之后，新的接口可以继续对重发的消息去重
+                get: (session) => this._reliableSessions.get(session),
+                set: (session, id) => {
+                    this._reliableSessions.delete(session);
+                    this._reliableSessions.set(session, id);
+
+                    if (this._reliableSessions.size > RELIABLE_SESSIONS_LIMIT)
+                        this._reliableSessions.delete(this._reliableSessions.keys().next().value);
+                }
+            };
+
+            for (const { name, id, codec } of this._codecs)
+                socket.registerCodec(name, id, codec);
+
+            const setSession = (result: any) => {
+                if (result !== undefined && result !== true) socket.session = result;
+            };
+
+            const accept = () => {
+                this.clients.set(socket.id, socket);
+                socket._reportMetrics('connectionOpened');
+
+                socket.once('close', () => {
+                    this.clients.delete(socket.id);
+
+                    for (const room of [...socket.rooms])
+                        socket.leave(room);
+                });
+
+                this.emit('connection', socket, req);
+            };
 
-            socket.once('close', () => this.clients.delete(socket.id));
-            socket.once('error', () => socket.close()); //接口如果出现异常则关闭
+            setSession(this._verified.get(req));
 
-            this.emit('connection', socket, req);
+            if (configs.verifyAuth) {
+                const verifyAuth = configs.verifyAuth;
+                socket._waitForAuth(data => verifyAuth(data, socket, req), configs.authTimeout || 10000)
+                    .then(result => { setSession(result); accept(); })
+                    .catch(() => { });  //验证失败时连接已经被关闭了
+            } else
+                accept();
         });
     }
 
     /**
-     * 关闭服务器，并断开所有的客户端连接。（注意这个会将绑定的http server也关了）
+     * 检查连接数是否超出了限制，返回超出的限制
+     * @param ip 客户端的IP
+     * @param counted 这个连接是否已经计算在连接数中了
      */
-    close() {
-        this._ws.close();
-        this._http.close(); //_ws不会把绑定的server关掉
+    private _connectionLimit(ip: string, counted: boolean): string | undefined {
+        if (this._rateLimit === undefined) return;
+
+        const { maxConnections, maxConnectionsPerIP } = this._rateLimit;
+        const extra = counted ? 0 : 1;
+
+        if (maxConnections !== undefined && this._ws.clients.size + extra > maxConnections)
+            return 'maxConnections';
+
+        if (maxConnectionsPerIP !== undefined && (this._connectionsPerIP.get(ip) || 0) + extra > maxConnectionsPerIP)
+            return 'maxConnectionsPerIP';
+    }
+
+    /**
+     * 绑定http服务器，多个Server共用同一个upgrade事件监听器
+     */
+    private _mount(server: http.Server | https.Server) {
+        let entry = mounted.get(server);
+
+        if (entry === undefined) {
+            const servers: Server[] = [];
+
+            const listener = (req: http.IncomingMessage, socket: net.Socket, head: Buffer) => {
+                const target = servers.find(item => item.shouldHandle(req));
+
+                if (target !== undefined)
+                    target.handleUpgrade(req, socket, head);
+                else if (server.listeners('upgrade').length === 1)  //没有其他库处理这个请求
+                    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            };
+
+            server.on('upgrade', listener);
+            mounted.set(server, entry = { servers, listener });
+        }
+
+        entry.servers.push(this);
+
+        const onError = (err: Error) => this.emit('error', err);
+        const onListening = () => this.emit('listening');
+
+        server.on('error', onError);
+        if (server.listening)
+            process.nextTick(onListening);
+        else
+            server.once('listening', onListening);
+
+        this._unmount = () => {
+            server.removeListener('error', onError);
+            server.removeListener('listening', onListening);
+
+            const { servers, listener } = entry as any;
+            servers.splice(servers.indexOf(this), 1);
+
+            if (servers.length === 0) {
+                server.removeListener('upgrade', listener);
+                mounted.delete(server);
+            }
+        };
+    }
+
+    /**
+     * 判断升级请求的路径是否与 configs.url 中的路径相同
+     * @param req 升级请求
+     */
+    shouldHandle(req: http.IncomingMessage): boolean {
+        return this._ws.shouldHandle(req);
+    }
+
+    /**
+     * 处理http服务器的升级请求（用于noServer模式）。路径不匹配时会返回400，可以先通过 shouldHandle 判断
+     * @param req 升级请求
+     * @param socket 升级请求的底层连接
+     * @param head 升级请求中的第一个数据包
+     */
+    handleUpgrade(req: http.IncomingMessage, socket: net.Socket, head: Buffer): void {
+        this._ws.handleUpgrade(req, socket, head, client => this._ws.emit('connection', client, req));
+    }
+
+    /**
+     * 注册编码器。所有已经建立以及之后建立的连接都会注册这个编码器
+     * @param name 编码器的名称
+     * @param id 编码器的编号，会写入数据帧头部。0-15 保留给内置的编码器（raw、json、binary）
+     * @param codec 编码器
+     */
+    registerCodec(name: string, id: number, codec: Codec): void {
+        if (!Number.isInteger(id) || id < 16 || id > 255)
+            throw new Error('编码器的编号必须是16-255之间的整数');
+
+        if (this._codecs.some(item => item.name === name || item.id === id))
+            throw new Error(`编码器的名称或编号已被占用：${name}，${id}`);
+
+        this._codecs.push({ name, id, codec });
+
+        for (const socket of this.clients.values())
+            socket.registerCodec(name, id, codec);
+    }
+
+    /**
+     * 注册服务器级别的消息处理器，对所有的接口生效，在接口自己的处理器之前执行。    
+     * 标题使用 / 分隔层级，* 匹配一层中的任意内容，** 匹配任意多层。处理器抛出的异常会触发对应接口的error事件，但不会关闭连接
+     * @param pattern 消息的标题
+     * @param handlers 消息处理器
+     */
+    handle(pattern: string, ...handlers: MessageHandler<ServerSocket>[]): this {
+        this._routes.router.handle(pattern, ...handlers);
+        return this;
+    }
+
+    /**
+     * 注册服务器级别的中间件，对之后注册的服务器级别的处理器以及所有接口自己的处理器生效
+     * @param middleware 中间件
+     */
+    use(...middleware: MessageHandler<ServerSocket>[]): this {
+        this._routes.router.use(...middleware);
+        return this;
+    }
+
+    /**
+     * 获取服务器级别的命名空间。标题以 `name/` 开头的消息会交给返回的路由处理
+     * @param name 命名空间的名称
+     */
+    namespace(name: string): Router<ServerSocket> {
+        return this._routes.router.namespace(name);
+    }
+
+    /**
+     * 设置处理没有被任何处理器处理的消息的处理器。接口自己设置了 fallback 时使用接口的
+     * @param handler 处理器
+     */
+    fallback(handler: MessageHandler<ServerSocket> | undefined): void {
+        this._routes.fallback = handler;
+    }
+
+    /**
+     * 向所有的客户端发送消息。数据只会被编码一次
+     * @param title 消息的标题
+     * @param data 携带的数据
+     * @param options.except 不需要发送的接口
+     * @param options.codec 使用的编码器名称。默认是构造时配置的codec
+     */
+    broadcast(title: string, data: any, options: { except?: ServerSocket | ServerSocket[], codec?: string } = {}): Promise<BroadcastResult> {
+        return this._fanOut(this.clients.values(), title, data, options);
+    }
+
+    /**
+     * 选择要发送消息的房间
+     * @param room 房间名称。传入多个房间时，同时在多个房间中的接口只会收到一次
+     */
+    to(room: string | string[]) {
+        return {
+            /**
+             * 向房间中的所有接口发送消息。数据只会被编码一次
+             * @param title 消息的标题
+             * @param data 携带的数据
+             * @param options.except 不需要发送的接口
+             * @param options.codec 使用的编码器名称。默认是构造时配置的codec
+             */
+            send: (title: string, data: any, options: { except?: ServerSocket | ServerSocket[], codec?: string } = {}): Promise<BroadcastResult> => {
+                const members: Set<ServerSocket> = new Set();
+
+                for (const name of Array.isArray(room) ? room : [room]) {
+                    const sockets = this._rooms.get(name);
+                    if (sockets !== undefined) sockets.forEach(item => members.add(item));
+                }
+
+                return this._fanOut(members.values(), title, data, options);
+            }
+        };
+    }
+
+    /**
+     * 将同一条消息发给多个接口
+     */
+    private async _fanOut(sockets: Iterable<ServerSocket>, title: string, data: any, options: { except?: ServerSocket | ServerSocket[], codec?: string }): Promise<BroadcastResult> {
+        const except = new Set(Array.isArray(options.except) ? options.except : options.except ? [options.except] : []);
+        const recipients = [...sockets].filter(item => !except.has(item));
+        const result: BroadcastResult = { succeeded: [], failed: new Map() };
+
+        if (recipients.length > 0) {
+            const frame = recipients[0]._encodeMessage(title, data, options.codec);   //所有接口注册的编码器都是相同的
+
+            await Promise.all(recipients.map(socket => socket._sendFrame(frame).then(() => {
+                result.succeeded.push(socket.id);
+            }, (err: Error) => {
+                result.failed.set(socket.id, err);
+            })));
+        }
+
+        return result;
+    }
+
+    /**
+     * 关闭服务器，并断开所有的客户端连接。绑定的http服务器默认不会被关闭
+     * @param closeHttp 是否同时关闭绑定的http服务器
+     */
+    close(closeHttp = false) {
+        if (this._unmount !== undefined) {
+            this._unmount();
+            this._unmount = undefined;
+        }
+
+        this._ws.close(() => {
+            if (closeHttp && this._http !== undefined && this._http.listening)
+                this._http.close(() => this.emit('close'));
+            else
+                this.emit('close');
+        });
     }
 
     on(event: 'error', listener: (err: Error) => void): this
@@ -64,11 +428,15 @@ export class Server extends Emitter {
     on(event: 'listening', listener: () => void): this
     /**
      * 当有新的客户端与服务器建立起连接时触发。    
-     * req为客户端向服务器建立连接时发送的get请求，可通过这个进行一些用户验证。     
-     * 注意：如果用户未通过验证，记得执行socket.close()，服务器并不会自动断开连接。     
+     * req为客户端向服务器建立连接时发送的get请求。    
+     * 用户验证请使用 verifyClient 或 verifyAuth 配置，未通过验证的连接不会触发这个事件。
      */
     on(event: 'connection', listener: (socket: ServerSocket, req: http.IncomingMessage) => void): this
     on(event: 'close', listener: (err: Error) => void): this
+    /**
+     * 超出了 rateLimit 配置的限制
+     */
+    on(event: 'rateLimit', listener: (event: RateLimitEvent) => void): this
     on(event: string, listener: Function): this {
         super.on(event, listener);
         return this;
@@ -78,8 +446,16 @@ export class Server extends Emitter {
     once(event: 'listening', listener: () => void): this
     once(event: 'connection', listener: (socket: ServerSocket, req: http.IncomingMessage) => void): this
     once(event: 'close', listener: (err: Error) => void): this
+    once(event: 'rateLimit', listener: (event: RateLimitEvent) => void): this
     once(event: string, listener: Function): this {
         super.once(event, listener);
         return this;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * 获取客户端的IP
+ */
+function clientIP(req: http.IncomingMessage): string {
+    return req.connection.remoteAddress || '';
+}
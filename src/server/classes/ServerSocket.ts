@@ -5,28 +5,109 @@ import { ServerSocketConfig } from '../interfaces/ServerSocketConfig';
 
 export class ServerSocket extends BaseSocket {
 
-    protected readonly _socket: WS;
+    protected _socket: WS;
 
-    constructor(configs: ServerSocketConfig, _socket?: WS) {
-        const socket = _socket || new WS(configs.url, configs);
+    private readonly _configs: ServerSocketConfig;
 
-        super(socket, configs);
+    /**
+     * 所属服务器的房间索引。key是房间名称。只有服务器端接收到的连接才有
+     */
+    private readonly _roomIndex?: Map<string, Set<ServerSocket>>;
 
-        this._socket.on('open', this.emit.bind(this, 'open'));
-        this._socket.on('close', this.emit.bind(this, 'close'));
-        this._socket.on('error', this.emit.bind(this, 'error'));
-        this._socket.on('message', this._receiveData.bind(this));
+    /**
+     * 当前接口加入了的房间
+     */
+    readonly rooms: Set<string> = new Set();
+
+    /**
+     * @param configs 接口配置
+     * @param _socket 服务器端接收到的连接。不传则根据configs.url创建客户端连接
+     * @param _roomIndex 所属服务器的房间索引
+     */
+    constructor(configs: ServerSocketConfig, _socket?: WS, _roomIndex?: Map<string, Set<ServerSocket>>) {
+        super(_socket || createWS(configs), _socket ? Object.assign({}, configs, { reconnect: false }) : configs);  //服务器端接收到的连接无法重连
+
+        this._configs = configs;
+        this._roomIndex = _roomIndex;
+        this._bindSocket(this._socket);
     }
 
-    protected _sendData(data: Buffer): Promise<void> {
+    /**
+     * 加入房间。之后可以通过 server.to(room) 向房间中的所有接口发送消息。只有服务器端接收到的连接才能加入房间
+     * @param room 房间名称
+     */
+    join(room: string): void {
+        if (this._roomIndex === undefined)
+            throw new Error('只有服务器端接收到的连接才能加入房间');
+
+        let members = this._roomIndex.get(room);
+
+        if (members === undefined) {
+            members = new Set();
+            this._roomIndex.set(room, members);
+        }
+
+        members.add(this);
+        this.rooms.add(room);
+    }
+
+    /**
+     * 离开房间。连接断开时会自动离开所有的房间
+     * @param room 房间名称
+     */
+    leave(room: string): void {
+        if (this._roomIndex === undefined) return;
+
+        const members = this._roomIndex.get(room);
+
+        if (members !== undefined) {
+            members.delete(this);
+            if (members.size === 0) this._roomIndex.delete(room);
+        }
+
+        this.rooms.delete(room);
+    }
+
+    protected _createSocket(): WS {
+        const socket = createWS(this._configs);
+        this._bindSocket(socket);
+        return socket;
+    }
+
+    /**
+     * 为底层连接绑定事件。已经被替换掉的连接触发的事件会被忽略
+     */
+    private _bindSocket(socket: WS) {
+        socket.on('open', () => { if (socket === this._socket) this._onOpen() });
+        socket.on('close', (code, reason) => { if (socket === this._socket) this._onClose(code, reason) });
+        socket.on('error', (err) => { if (socket === this._socket) this._onError(err) });
+        socket.on('message', (data: Buffer) => { if (socket === this._socket) this._receiveData(data) });
+        socket.on('pong', () => { if (socket === this._socket) this._onPong() });
+    }
+
+    protected _ping() {
+        this._socket.ping(undefined, undefined, () => { });    //连接已经断开的话由心跳超时处理
+    }
+
+    protected _terminate() {
+        this._socket.terminate();
+    }
+
+    protected _sendData(data: Buffer, compress?: boolean): Promise<void> {
         return new Promise((resolve, reject) => {
-            this._socket.send(data, { binary: true }, (err) => {
+            this._socket.send(data, { binary: true, compress: !!compress }, (err) => {
                 err ? reject(err) : resolve();
             });
         });
     }
+}
 
-    close(): void {
-        this._socket.close();
-    }
-}
\ No newline at end of file
+/**
+ * 根据配置创建客户端连接
+ */
+function createWS(configs: ServerSocketConfig): WS {
+    return new WS(configs.url, Object.assign({}, configs, {
+        maxPayload: configs.maxPayload == null || configs.maxPayload <= 0 ? undefined : configs.maxPayload + BaseSocket.headerSize,  //数据帧头部还会占一部分空间
+        perMessageDeflate: configs.compression ? { threshold: 0 } : false    //是否压缩由 BaseSocket 决定
+    }));
+}
@@ -0,0 +1,17 @@
+/**
+ * 广播的发送结果
+ * 
+ * @export
+ * @interface BroadcastResult
+ */
+export interface BroadcastResult {
+    /**
+     * 发送成功的接口id
+     */
+    succeeded: number[];
+
+    /**
+     * 发送失败的接口。key是接口id，value是失败的原因
+     */
+    failed: Map<number, Error>;
+}
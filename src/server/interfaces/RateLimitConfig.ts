@@ -0,0 +1,63 @@
+/**
+ * 令牌桶配置
+ * 
+ * @export
+ * @interface TokenBucketConfig
+ */
+export interface TokenBucketConfig {
+    /**
+     * 每秒补充的令牌数量（消息的条数或byte数）
+     */
+    rate: number;
+
+    /**
+     * 令牌桶的容量，即允许的突发数量。默认与rate相同
+     */
+    burst?: number;
+}
+
+/**
+ * 服务器端的频率限制与连接数限制配置
+ * 
+ * @export
+ * @interface RateLimitConfig
+ */
+export interface RateLimitConfig {
+    /**
+     * 每个连接接收消息（message、request、数据流开始）的频率限制
+     */
+    messages?: TokenBucketConfig;
+
+    /**
+     * 每个连接接收数据（byte）的频率限制。消息、请求以及数据流的开始与数据块会计算在内，响应等其他数据帧不受限制
+     */
+    bytes?: TokenBucketConfig;
+
+    /**
+     * 每个连接针对特定标题的频率限制。key是消息的标题
+     */
+    titles?: { [title: string]: { messages?: TokenBucketConfig, bytes?: TokenBucketConfig } };
+
+    /**
+     * 每个连接同时在处理（onRequest 的处理器还没有返回）的请求数量上限
+     */
+    maxPendingRequests?: number;
+
+    /**
+     * 服务器的连接总数上限（包括还没有通过验证的连接）。超出的连接在握手时以HTTP 503拒绝
+     */
+    maxConnections?: number;
+
+    /**
+     * 每个IP的连接数上限。超出的连接在握手时以HTTP 503拒绝
+     */
+    maxConnectionsPerIP?: number;
+
+    /**
+     * 超出频率限制时的处理方式。默认drop    
+     * drop：丢弃数据帧。被丢弃的请求会收到“请求过于频繁”的错误响应，数据流会被取消（发送方收到 streamReject，接收方的数据流出错），可靠消息改为延迟处理。    
+     * delay：暂缓处理，之后的数据帧也会排在后面依次处理。    
+     * close：以 CloseCode.rateLimited 关闭连接。
+     */
+    action?: 'drop' | 'delay' | 'close';
+}
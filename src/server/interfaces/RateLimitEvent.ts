@@ -0,0 +1,34 @@
+import { ServerSocket } from '../classes/ServerSocket';
+
+/**
+ * 超出限制时 Server 触发的rateLimit事件参数
+ * 
+ * @export
+ * @interface RateLimitEvent
+ */
+export interface RateLimitEvent {
+    /**
+     * 超出的限制。messages、bytes、titleMessages、titleBytes、pendingRequests、delayQueue、maxConnections、maxConnectionsPerIP
+     */
+    limit: string;
+
+    /**
+     * 采取的处理方式。连接数超出限制时为reject
+     */
+    action: 'drop' | 'delay' | 'close' | 'reject';
+
+    /**
+     * 客户端的IP
+     */
+    ip: string;
+
+    /**
+     * 对应的接口。连接数超出限制时为undefined
+     */
+    socket?: ServerSocket;
+
+    /**
+     * 超出频率限制的数据帧的标题
+     */
+    title?: string;
+}
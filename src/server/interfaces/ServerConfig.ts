@@ -0,0 +1,38 @@
+import * as http from 'http';
+import { BaseSocketConfig } from "../../BaseSocket/interfaces/BaseSocketConfig";
+import { ServerSocket } from '../classes/ServerSocket';
+import { RateLimitConfig } from './RateLimitConfig';
+
+/**
+ * Server 构造函数参数
+ * 
+ * @export
+ * @interface ServerConfig
+ * @extends {BaseSocketConfig}
+ */
+export interface ServerConfig extends BaseSocketConfig {
+
+    /**
+     * 在升级为websocket连接之前验证客户端，可以读取请求的headers、cookie以及url中的query。    
+     * 返回的值（true与undefined除外）会被设置为 socket.session。    
+     * 返回false或抛出异常则拒绝连接，HTTP状态码默认401，可以通过异常的statusCode属性指定。
+     */
+    verifyClient?: (req: http.IncomingMessage) => any;
+
+    /**
+     * 连接建立后验证客户端发送的身份验证数据（客户端通过auth配置发送），用于无法设置请求头的浏览器。    
+     * 验证通过之前不会触发connection事件，收到的其他消息也会被丢弃。    
+     * 返回的值（true与undefined除外）会被设置为 socket.session。返回false或抛出异常则以 CloseCode.authFailed 关闭连接。
+     */
+    verifyAuth?: (data: any, socket: ServerSocket, req: http.IncomingMessage) => any;
+
+    /**
+     * 配置了verifyAuth时，等待客户端发送身份验证数据的时间（毫秒），超时则以 CloseCode.authFailed 关闭连接。默认10000
+     */
+    authTimeout?: number;
+
+    /**
+     * 频率限制与连接数限制。超出限制时会触发 Server 的rateLimit事件
+     */
+    rateLimit?: RateLimitConfig;
+}
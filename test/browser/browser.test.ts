@@ -6,7 +6,7 @@ describe('数据收发测试', function () {
     let c_socket: BWS.BrowserSocket;    //客户端接口
 
     beforeEach(function (done) {    //创建连接
-        c_socket = new BWS.BrowserSocket();
+        c_socket = new BWS.BrowserSocket({ url: 'ws://localhost:8080', highWaterMark: 0 });    //每次只发送一个数据帧，这样排队中的消息都可以被取消
         c_socket.on('error', (err) => { throw err });
         c_socket.on('open', () => {
             done();
@@ -83,12 +83,101 @@ describe('数据收发测试', function () {
     });
 });
 
+describe('请求响应测试', function () {
+    let c_socket: BWS.BrowserSocket;    //客户端接口
+
+    beforeEach(function (done) {    //创建连接
+        c_socket = new BWS.BrowserSocket();
+        c_socket.on('error', (err) => { throw err });
+        c_socket.on('open', () => {
+            done();
+        });
+    });
+
+    it('测试请求与响应', async function () {
+        const result = await c_socket.request('echo', Buffer.from('123'));
+        expect(Buffer.from('123').equals(result)).to.be.ok();
+    });
+
+    it('测试请求处理器抛出异常', async function () {
+        try {
+            await c_socket.request('fail', Buffer.alloc(0));
+            throw new Error('不可能执行到这里，代码逻辑存在错误');
+        } catch (err) {
+            expect(err.message).to.be('处理失败');
+        }
+    });
+});
+describe('数据流测试', function () {
+    let c_socket: BWS.BrowserSocket;    //客户端接口
+
+    beforeEach(function (done) {    //创建连接
+        c_socket = new BWS.BrowserSocket({ url: 'ws://localhost:8080', maxPayload: 2000 });
+        c_socket.on('error', (err) => { throw err });
+        c_socket.on('open', () => {
+            done();
+        });
+    });
+
+    it('发送Blob', function (done) {
+        const data = Buffer.alloc(10000).fill(7);
+
+        c_socket.on('stream', (title, stream) => {
+            expect(title).to.be('blob');
+
+            const chunks: Buffer[] = [];
+            stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+            stream.on('end', () => {
+                expect(data.equals(Buffer.concat(chunks))).to.be.ok();
+                done();
+            });
+        });
+
+        c_socket.sendStream('blob', new Blob([data])).catch(done);
+    });
+});
+
+describe('压缩测试', function () {
+    it('服务器没有开启压缩时在应用层压缩', function (done) {
+        const c_socket = new BWS.BrowserSocket({ url: 'ws://localhost:8080', maxPayload: 2000, compression: true, compressionThreshold: 100 });
+        const data = Buffer.alloc(1900).fill('binary-ws');
+
+        c_socket.on('error', (err) => { throw err });
+        c_socket.on('open', () => {
+            c_socket.on('message', (title, r_data) => {
+                expect(title).to.be('compressed');
+                expect(data.equals(r_data)).to.be.ok();
+                c_socket.close();
+                done();
+            });
+
+            c_socket.send('compressed', data).catch(done);
+        });
+    });
+});
+
+describe('心跳检测测试', function () {
+    it('测量往返时间', function (done) {
+        const c_socket = new BWS.BrowserSocket({ url: 'ws://localhost:8080', heartbeatInterval: 100 });
+        c_socket.on('error', (err) => { throw err });
+        c_socket.on('open', () => {
+            expect(c_socket.latency).to.be(-1);
+
+            setTimeout(() => {
+                expect(c_socket.latency).to.be.within(0, 100);
+                expect(c_socket.readyState).to.be(BWS.ReadyState.OPEN);
+                c_socket.close();
+                done();
+            }, 350);
+        });
+    });
+});
 
 describe('压力测试', function () {
     let c_socket: BWS.BrowserSocket;    //客户端接口
 
     beforeEach(function (done) {    //创建连接
-        c_socket = new BWS.BrowserSocket();
+        c_socket = new BWS.BrowserSocket({ url: 'ws://localhost:8080', highWaterMark: 0 });    //每次只发送一个数据帧，这样排队中的消息都可以被取消
         c_socket.on('error', (err) => { throw err });
         c_socket.on('open', () => {
             done();
@@ -125,3 +214,59 @@ describe('压力测试', function () {
         }
     });
 });
+
+describe('发送性能测试', function () {
+    const count = 2000;
+    const data = Buffer.alloc(1024).fill(1);
+
+    /**
+     * 返回每秒发送的消息数量
+     */
+    async function benchmark(highWaterMark: number): Promise<number> {
+        const c_socket = new BWS.BrowserSocket({ url: 'ws://localhost:8080', highWaterMark });
+        c_socket.on('error', (err) => { throw err });
+        await new Promise(resolve => c_socket.once('open', resolve));
+
+        const start = Date.now();
+        const sending: Promise<void>[] = [];
+
+        for (let index = 0; index < count; index++)
+            sending.push(c_socket.send('benchmark', data));
+
+        await Promise.all(sending);
+
+        const rate = Math.round(count / (Date.now() - start) * 1000);
+        c_socket.close();
+        return rate;
+    }
+
+    it(`连续发送${count}条1KB的消息`, async function () {
+        this.timeout(100000);
+
+        const serial = await benchmark(0);          //每次只发送一个数据帧，等到发送出去才发送下一个
+        const pipelined = await benchmark(1024 * 1024);
+
+        console.log(`每次发送一个数据帧：${serial} 条/秒，连续发送多个数据帧：${pipelined} 条/秒`);
+        expect(pipelined).to.be.greaterThan(serial);
+    });
+
+    it('缓冲区超过highWaterMark时触发backpressure，降下来之后触发drain', function (done) {
+        this.timeout(10000);
+
+        const c_socket = new BWS.BrowserSocket({ url: 'ws://localhost:8080', highWaterMark: 10 * 1024 });
+        let backpressure = false;
+
+        c_socket.on('error', (err) => { throw err });
+        c_socket.on('backpressure', () => backpressure = true);
+        c_socket.on('drain', () => {
+            expect(backpressure).to.be.ok();
+            c_socket.close();
+            done();
+        });
+
+        c_socket.on('open', () => {
+            for (let index = 0; index < 100; index++)
+                c_socket.send('benchmark', data).catch(() => { });
+        });
+    });
+});
@@ -54,6 +54,12 @@ ws.on('connection', socket => {
         log('socket', socket.id, '收到消息：', `{${name}}`);
         socket.send(name, data).catch(err => { log(err) });
     });
+    socket.on('stream', (name, stream) => {
+        log('socket', socket.id, '收到数据流：', `{${name}}`);
+        socket.sendStream(name, stream).catch(err => { log(err) });
+    });
+    socket.onRequest('echo', data => data);
+    socket.onRequest('fail', () => { throw new Error('处理失败') });
 });
 
 server.listen(8080, () => {
@@ -1,6 +1,10 @@
 import expect = require('expect.js');
 import * as BWS from '../..';
 import * as http from 'http';
+import * as WS from 'ws';
+import * as net from 'net';
+import { PassThrough } from 'stream';
+import * as zlib from 'zlib';
 
 //测试时会用到8080端口，请确保端口不会被占用
 
@@ -28,7 +32,7 @@ describe('测试Server', function () {
 
         it('测试close事件', function (done) {
             server.on('close', done);
-            server.close();
+            server.close(true);
         });
     });
 
@@ -47,7 +51,7 @@ describe('测试Server', function () {
 
         after(function (done) {
             server.on('close', done)
-            server.close();
+            server.close(true);
         });
 
         it('新建连接1', function name(done) {
@@ -146,7 +150,7 @@ describe('测试Server', function () {
                     done();
                 }, 1000);
             });
-            server.close();
+            server.close(true);
         });
     });
 
@@ -164,7 +168,7 @@ describe('测试Server', function () {
 
         after(function (done) {
             server.on('close', done)
-            server.close();
+            server.close(true);
         });
 
         beforeEach(function name(done) {
@@ -183,14 +187,1751 @@ describe('测试Server', function () {
             ss.emit('error', new Error());
         });
     });
+    describe('测试握手时验证客户端', function () {
+        let server: BWS.Server;
+
+        before(function (done) {
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, {
+                url: 'ws://localhost:8080',
+                verifyClient: async (req) => {
+                    if (req.headers.token === 'ok') return { user: 'test' };
+                    if (req.headers.token === 'forbidden') throw Object.assign(new Error('禁止访问'), { statusCode: 403 });
+                    return false;
+                }
+            });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done)
+            server.close(true);
+        });
+
+        it('验证通过，结果保存在session中', function (done) {
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8080', headers: { token: 'ok' } });
+
+            server.once('connection', (s_socket) => {
+                expect(s_socket.session).to.eql({ user: 'test' });
+                socket.close();
+                done();
+            });
+        });
+
+        it('验证失败，在升级之前拒绝连接', function (done) {
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8080', headers: { token: 'forbidden' } });
+
+            server.once('connection', () => done(new Error('不可能执行到这里，代码逻辑存在错误')));
+            socket.once('error', (err) => {
+                expect(err.message).to.contain('403');
+
+                const socket2 = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+                socket2.once('error', (err) => {
+                    expect(err.message).to.contain('401');
+                    expect(server.clients.size).to.be(0);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('测试连接建立后验证客户端', function () {
+        let server: BWS.Server;
+
+        before(function (done) {
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, {
+                url: 'ws://localhost:8080',
+                authTimeout: 200,
+                verifyAuth: async (data, socket, req) => {
+                    expect(socket).to.be.a(BWS.ServerSocket);
+                    expect(req.url).to.be('/');
+                    return data.token === 'ok' ? { user: data.user } : false;
+                }
+            });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done)
+            server.close(true);
+        });
+
+        it('验证通过，验证之前发送的消息会被保留', function (done) {
+            const socket: BWS.ServerSocket = new BWS.ServerSocket({
+                url: 'ws://localhost:8080',
+                auth: async () => {    //连接已建立，但还没有收到服务器的确认
+                    expect(socket.readyState).to.be(BWS.ReadyState.CONNECTING);
+                    socket.send('1', Buffer.alloc(0)).catch(done);
+                    return { token: 'ok', user: 'test' };
+                }
+            });
+
+            server.once('connection', (s_socket) => {
+                expect(s_socket.session).to.eql({ user: 'test' });
+                expect(server.clients.size).to.be(1);
+
+                s_socket.once('message', (title) => {
+                    expect(title).to.be('1');
+                    socket.close();
+                    done();
+                });
+            });
+
+            socket.once('open', () => expect(socket.readyState).to.be(BWS.ReadyState.OPEN));
+            socket.on('error', err => done(err));
+        });
+
+        it('验证失败', function (done) {
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8080', auth: { token: 'bad' }, reconnect: true });
+
+            server.once('connection', () => done(new Error('不可能执行到这里，代码逻辑存在错误')));
+            socket.on('open', () => done(new Error('不可能执行到这里，代码逻辑存在错误')));
+            socket.on('close', (code) => {
+                expect(code).to.be(BWS.CloseCode.authFailed);
+                expect(server.clients.size).to.be(0);
+                server.off('connection');
+                done();
+            });
+        });
+
+        it('验证超时', function (done) {
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+
+            server.once('connection', () => done(new Error('不可能执行到这里，代码逻辑存在错误')));
+            socket.on('open', () => socket.send('1', Buffer.alloc(0)).catch(done));
+            socket.on('close', (code) => {
+                expect(code).to.be(BWS.CloseCode.authFailed);
+                server.off('connection');
+                done();
+            });
+        });
+
+        it('服务器没有确认身份验证时，客户端等待超时', function (done) {
+            const hs = http.createServer();
+            hs.listen(8081);
+            const server_no_auth = new BWS.Server(hs, { url: 'ws://localhost:8081' });   //没有配置verifyAuth，不会回应验证数据
+
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8081', auth: { token: 'ok' }, authTimeout: 200 });
+            const start = Date.now();
+            let error: Error | undefined;
+
+            socket.on('open', () => done(new Error('不可能执行到这里，代码逻辑存在错误')));
+            socket.on('error', err => error = err);
+            socket.send('1', Buffer.alloc(0)).then(() => done(new Error('不可能执行到这里，代码逻辑存在错误')), () => { });
+            socket.on('close', (code) => {
+                expect(code).to.be(BWS.CloseCode.authFailed);
+                expect(Date.now() - start).to.be.greaterThan(150);
+                expect((error as Error).message).to.be('身份验证超时');
+                server_no_auth.close(true);
+                done();
+            });
+        });
+    });
+
+    describe('测试多个Server共用一个http服务器', function () {
+        let hs: http.Server;
+        let server_a: BWS.Server;
+        let server_b: BWS.Server;
+
+        before(function (done) {
+            hs = http.createServer((req, res) => res.end('hello'));
+            hs.listen(8080);
+            server_a = new BWS.Server(hs, { url: 'ws://localhost:8080/a' });
+            server_b = new BWS.Server(hs, { url: 'ws://localhost:8080/b' });
+            server_a.on('error', err => { throw err });
+            server_b.on('error', err => { throw err });
+            server_b.on('listening', done);
+        });
+
+        after(function (done) {
+            server_b.on('close', done);
+            server_b.close(true);
+        });
+
+        it('根据路径分发连接', function (done) {
+            const socket_a = new BWS.ServerSocket({ url: 'ws://localhost:8080/a' });
+            const socket_b = new BWS.ServerSocket({ url: 'ws://localhost:8080/b' });
+
+            let connected = 0;
+            const check = () => {
+                if (++connected === 2) {
+                    expect(server_a.clients.size).to.be(1);
+                    expect(server_b.clients.size).to.be(1);
+                    socket_a.close();
+                    socket_b.close();
+                    done();
+                }
+            };
+
+            server_a.once('connection', (s_socket, req) => {
+                expect(req.url).to.be('/a');
+                check();
+            });
+
+            server_b.once('connection', (s_socket, req) => {
+                expect(req.url).to.be('/b');
+                check();
+            });
+        });
+
+        it('没有匹配的路径返回400', function (done) {
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/c' });
+            socket.once('error', err => {
+                expect(err.message).to.contain('400');
+                done();
+            });
+        });
+
+        it('关闭其中一个Server不影响其他Server与http服务器', function (done) {
+            server_a.once('close', () => {
+                expect(hs.listening).to.be.ok();
+
+                const socket_a = new BWS.ServerSocket({ url: 'ws://localhost:8080/a' });
+                socket_a.once('error', err => {
+                    expect(err.message).to.contain('400');
+
+                    const socket_b = new BWS.ServerSocket({ url: 'ws://localhost:8080/b' });
+                    socket_b.once('open', () => {
+                        socket_b.close();
+                        done();
+                    });
+                });
+            });
+
+            server_a.close();
+        });
+    });
+
+    describe('测试noServer模式', function () {
+        let hs: http.Server;
+        let server: BWS.Server;
+        let other: WS.Server;
+
+        before(function (done) {
+            server = new BWS.Server({ url: 'ws://localhost:8080/bws' });
+            server.on('error', err => { throw err });
+
+            other = new WS.Server({ noServer: true });
+            other.on('connection', client => client.send('other'));
+
+            hs = http.createServer((req, res) => res.end('hello'));
+            hs.on('upgrade', (req: http.IncomingMessage, socket: net.Socket, head: Buffer) => {
+                if (server.shouldHandle(req))
+                    server.handleUpgrade(req, socket, head);
+                else
+                    other.handleUpgrade(req, socket, head, client => other.emit('connection', client, req));
+            });
+            hs.listen(8080, done);
+        });
+
+        after(function (done) {
+            other.close();
+            hs.close(done);
+        });
+
+        it('通过handleUpgrade建立连接', function (done) {
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/bws' });
+
+            server.once('connection', (s_socket) => {
+                s_socket.once('message', (title, data) => {
+                    expect(title).to.be('1');
+                    expect(data.toString()).to.be('hello');
+                    socket.close();
+                    done();
+                });
+            });
+
+            socket.once('open', () => socket.send('1', Buffer.from('hello')).catch(done));
+        });
+
+        it('与其他websocket库共用端口', function (done) {
+            const socket = new WS('ws://localhost:8080/other');
+            socket.once('message', (data: WS.Data) => {
+                expect(data).to.be('other');
+                socket.close();
+                done();
+            });
+        });
+
+        it('close只关闭websocket服务器', function (done) {
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/bws' });
+
+            socket.once('open', () => {
+                socket.once('close', () => {
+                    expect(server.clients.size).to.be(0);
+
+                    http.get('http://localhost:8080', res => {
+                        res.once('data', data => {
+                            expect(data.toString()).to.be('hello');
+                            done();
+                        });
+                    });
+                });
+
+                server.close();
+            });
+        });
+    });
+
+    describe('测试监控指标', function () {
+        let server: BWS.Server;
+        const metrics = new BWS.PrometheusMetrics();
+        const traces: string[] = [];
+
+        before(function (done) {
+            const hs = http.createServer((req, res) => res.end('hello'));
+            hs.listen(8080);
+            metrics.mount(hs);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080', metrics: [metrics, new BWS.FrameTracer(line => traces.push(line))] });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
+        function get(path: string): Promise<string> {
+            return new Promise((resolve, reject) => {
+                http.get('http://localhost:8080' + path, res => {
+                    let body = '';
+                    res.on('data', chunk => body += chunk);
+                    res.on('end', () => resolve(body));
+                }).on('error', reject);
+            });
+        }
+
+        it('统计连接、数据帧与发送耗时，并以Prometheus格式导出', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+
+            server.once('connection', (s_socket) => {
+                s_socket.once('message', async (title) => {
+                    try {
+                        expect(title).to.be('a');
+                        await s_socket.send('b', Buffer.from('12345'));
+
+                        const text = await get('/metrics');
+                        expect(text).to.contain('binary_ws_connections_active 1\n');
+                        expect(text).to.contain('binary_ws_connections_opened_total 1\n');
+                        expect(text).to.contain('binary_ws_frames_received_total{type="message",title="a"} 1\n');
+                        expect(text).to.contain('binary_ws_bytes_sent_total{type="message",title="b"} 12\n');
+                        expect(text).to.contain('binary_ws_send_latency_seconds_count{type="message"} 1\n');
+                        expect(text).to.contain('binary_ws_frame_size_bytes_bucket{direction="sent",le="64"} 1\n');
+
+                        expect(await get('/')).to.be('hello');  //其他路径不受影响
+
+                        expect(traces).to.contain(`[binary-ws] socket ${s_socket.id} <- message "a" 8B`);
+                        expect(traces).to.contain(`[binary-ws] socket ${s_socket.id} -> message "b" 12B`);
+
+                        s_socket.once('close', async () => {
+                            try {
+                                const text = await get('/metrics');
+                                expect(text).to.contain('binary_ws_connections_active 0\n');
+                                expect(text).to.contain('binary_ws_connections_closed_total{code="1000"} 1\n');
+                                done();
+                            } catch (err) {
+                                done(err);
+                            }
+                        });
+
+                        c_socket.close(1000);
+                    } catch (err) {
+                        done(err);
+                    }
+                });
+            });
+
+            c_socket.once('open', () => c_socket.send('a', Buffer.from('1')).catch(done));
+        });
+
+        it('没有通过身份验证的连接不统计', function (done) {
+            const hs = http.createServer();
+            hs.listen(8081);
+            const auth_metrics = new BWS.PrometheusMetrics();
+            const server_auth = new BWS.Server(hs, { url: 'ws://localhost:8081', metrics: auth_metrics, verifyAuth: () => false });
+
+            server_auth.on('connection', () => done(new Error('不可能执行到这里，代码逻辑存在错误')));
+
+            const socket = new BWS.ServerSocket({ url: 'ws://localhost:8081', auth: { token: 'bad' } });
+            socket.on('close', (code) => {
+                expect(code).to.be(BWS.CloseCode.authFailed);
+
+                setTimeout(() => {  //等待服务器端的接口也关闭
+                    try {
+                        const text = auth_metrics.render();
+                        expect(text).to.contain('binary_ws_connections_active 0\n');
+                        expect(text).to.not.contain('binary_ws_connections_opened_total 1');
+                        expect(text).to.not.contain('binary_ws_connections_closed_total{');
+                        server_auth.close(true);
+                        done();
+                    } catch (err) {
+                        done(err);
+                    }
+                }, 100);
+            });
+        });
+
+        it('限制单独统计的标题数量', function () {
+            const limited = new BWS.PrometheusMetrics({ maxTitles: 2 });
+            const allowed = new BWS.PrometheusMetrics({ titles: ['c'] });
+            const socket: BWS.BaseSocket = <any>{};
+
+            for (const title of ['a', 'b', 'c', 'd', 'a']) {
+                limited.frameReceived(socket, BWS.MessageType.message, title, 1);
+                allowed.frameReceived(socket, BWS.MessageType.message, title, 1);
+            }
+
+            const text = limited.render();
+            expect(text).to.contain('binary_ws_frames_received_total{type="message",title="a"} 2\n');
+            expect(text).to.contain('binary_ws_frames_received_total{type="message",title="b"} 1\n');
+            expect(text).to.contain('binary_ws_frames_received_total{type="message",title="other"} 2\n');
+            expect(text).to.not.contain('title="c"');
+
+            const text2 = allowed.render();
+            expect(text2).to.contain('binary_ws_frames_received_total{type="message",title="c"} 1\n');
+            expect(text2).to.contain('binary_ws_frames_received_total{type="message",title="other"} 4\n');
+        });
+    });
+
+    describe('测试频率限制', function () {
+        let hs: http.Server;
+        const servers: { [name: string]: BWS.Server } = {};
+        const events: BWS.RateLimitEvent[] = [];
+
+        before(function (done) {
+            hs = http.createServer();
+            hs.listen(8080, done);
+
+            servers.drop = new BWS.Server(hs, {
+                url: 'ws://localhost:8080/drop',
+                rateLimit: { messages: { rate: 2 }, maxPendingRequests: 1 }
+            });
+
+            servers.delay = new BWS.Server(hs, {
+                url: 'ws://localhost:8080/delay',
+                rateLimit: { titles: { slow: { messages: { rate: 10, burst: 1 } } }, action: 'delay' }
+            });
+
+            servers.close = new BWS.Server(hs, {
+                url: 'ws://localhost:8080/close',
+                rateLimit: { bytes: { rate: 10 }, action: 'close' }
+            });
+
+            servers.conn = new BWS.Server(hs, {
+                url: 'ws://localhost:8080/conn',
+                rateLimit: { maxConnectionsPerIP: 1 }
+            });
+
+            servers.stream = new BWS.Server(hs, {
+                url: 'ws://localhost:8080/stream',
+                rateLimit: { bytes: { rate: 3000 } }
+            });
+
+            for (const name of Object.keys(servers)) {
+                servers[name].on('error', err => { throw err });
+                servers[name].on('rateLimit', event => events.push(event));
+            }
+        });
+
+        after(function (done) {
+            for (const name of Object.keys(servers))
+                servers[name].close();
+
+            hs.close(done);
+        });
+
+        beforeEach(function () {
+            events.length = 0;
+        });
+
+        it('超出消息频率的消息被丢弃', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/drop' });
+            const received: string[] = [];
+
+            servers.drop.once('connection', (s_socket) => {
+                s_socket.on('message', (title) => received.push(title));
+            });
+
+            c_socket.once('open', async () => {
+                for (let index = 0; index < 5; index++)
+                    await c_socket.send(index.toString(), Buffer.alloc(0));
+
+                setTimeout(() => {
+                    expect(received).to.eql(['0', '1']);
+                    expect(events.length).to.be(3);
+                    expect(events[0].limit).to.be('messages');
+                    expect(events[0].action).to.be('drop');
+                    expect(events[0].title).to.be('2');
+                    expect(events[0].socket).to.be.a(BWS.ServerSocket);
+                    c_socket.close();
+                    done();
+                }, 100);
+            });
+        });
+
+        it('超出同时处理的请求数量，请求方收到错误', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/drop' });
+
+            servers.drop.once('connection', (s_socket) => {
+                s_socket.onRequest('wait', () => new Promise(resolve => setTimeout(() => resolve(Buffer.alloc(0)), 100)));
+            });
+
+            c_socket.once('open', async () => {
+                const first = c_socket.request('wait', Buffer.alloc(0));
+
+                try {
+                    await c_socket.request('wait', Buffer.alloc(0));
+                    done(new Error('不可能执行到这里，代码逻辑存在错误'));
+                } catch (err) {
+                    expect(err.message).to.be('请求过于频繁');
+                    expect(events[0].limit).to.be('pendingRequests');
+                    await first;
+                    c_socket.close();
+                    done();
+                }
+            });
+        });
+
+        it('数据流超出数据频率时被取消，双方都会收到错误', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/stream' });
+            let count = 0;
+            const finish = () => {
+                if (++count === 2) {
+                    expect(events[0].limit).to.be('bytes');
+                    expect(events[0].action).to.be('drop');
+                    c_socket.close();
+                    done();
+                }
+            };
+
+            servers.stream.once('connection', (s_socket) => {
+                s_socket.on('stream', (title, stream) => {
+                    stream.on('data', () => { });
+                    stream.on('end', () => done(new Error('被取消的数据流不应当正常结束')));
+                    stream.on('error', (err: Error) => {
+                        expect(err.message).to.be('超出频率限制');
+                        expect(stream.received).to.be.lessThan(10000);
+                        finish();
+                    });
+                });
+            });
+
+            c_socket.once('open', () => {
+                c_socket.sendStream('file', Buffer.alloc(10000), { chunkSize: 1000 })
+                    .then(() => done(new Error('不可能执行到这里，代码逻辑存在错误')))
+                    .catch(err => {
+                        expect(err.message).to.be('接收方取消了接收');
+                        finish();
+                    });
+            });
+        });
+
+        it('对方发回的响应不受频率限制', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/stream' });
+            c_socket.onRequest('big', () => Buffer.alloc(10000));
+
+            servers.stream.once('connection', async (s_socket) => {
+                try {
+                    for (let index = 0; index < 2; index++)
+                        expect((await s_socket.request('big', Buffer.alloc(0))).length).to.be(10000);
+
+                    expect(events.length).to.be(0);
+                    c_socket.close();
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('可靠消息超出频率时不会被丢弃，而是延迟处理', function (done) {
+            this.timeout(5000);
+
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/drop', reliable: true });
+            const received: string[] = [];
+
+            servers.drop.once('connection', (s_socket) => {
+                s_socket.on('message', (title) => received.push(title));
+            });
+
+            c_socket.once('open', async () => {
+                try {
+                    await Promise.all(['1', '2', '3', '4'].map(title => c_socket.send(title, Buffer.alloc(0))));
+                    expect(received).to.eql(['1', '2', '3', '4']);
+                    expect(events.every(event => event.action === 'delay')).to.be.ok();
+                    expect(events.length).to.be.greaterThan(0);
+                    c_socket.close();
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+        });
+
+        it('超出特定标题的频率后延迟处理，并保持顺序', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/delay' });
+            const received: string[] = [];
+            let start = 0;
+
+            servers.delay.once('connection', (s_socket) => {
+                s_socket.on('message', (title, data) => {
+                    received.push(title + data.toString());
+
+                    if (received.length === 4) {
+                        expect(received).to.eql(['slow1', 'slow2', 'fast3', 'slow4']);  //排在被延迟的消息后面的也会被延迟
+                        expect(Date.now() - start).to.be.greaterThan(150);
+                        expect(events.length).to.be(1);
+                        expect(events[0].limit).to.be('titleMessages');
+                        expect(events[0].action).to.be('delay');
+                        c_socket.close();
+                        done();
+                    }
+                });
+            });
+
+            c_socket.once('open', () => {
+                start = Date.now();
+                c_socket.send('slow', Buffer.from('1')).catch(done);
+                c_socket.send('slow', Buffer.from('2')).catch(done);
+                c_socket.send('fast', Buffer.from('3')).catch(done);
+                c_socket.send('slow', Buffer.from('4')).catch(done);
+            });
+        });
+
+        it('超出数据频率后关闭连接', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/close' });
+
+            c_socket.once('open', () => {
+                c_socket.send('1', Buffer.alloc(100)).catch(done);  //令牌桶是满的时候可以超出容量
+                c_socket.send('2', Buffer.alloc(100)).catch(done);
+            });
+
+            c_socket.once('close', (code) => {
+                expect(code).to.be(BWS.CloseCode.rateLimited);
+                expect(events[0].limit).to.be('bytes');
+                expect(events[0].action).to.be('close');
+                done();
+            });
+        });
+
+        it('超出每个IP的连接数后拒绝连接', function (done) {
+            const c_socket1 = new BWS.ServerSocket({ url: 'ws://localhost:8080/conn' });
+
+            c_socket1.once('open', () => {
+                const c_socket2 = new BWS.ServerSocket({ url: 'ws://localhost:8080/conn' });
+
+                c_socket2.once('error', (err) => {
+                    expect(err.message).to.contain('503');
+                    expect(events[0].limit).to.be('maxConnectionsPerIP');
+                    expect(events[0].action).to.be('reject');
+                    c_socket1.close();
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('测试服务器级别的消息路由', function () {
+        let server: BWS.Server;
+
+        before(function (done) {
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+
+            server.use((ctx, next) => {
+                ctx.state.id = ctx.socket.id;
+                return next();
+            });
+
+            server.handle('ping', (ctx) => {
+                ctx.socket.send('pong', ctx.data).catch(() => { });
+            });
+
+            server.namespace('room').handle('*/join', (ctx) => {
+                ctx.socket.join(ctx.params[0]);
+                ctx.socket.send('joined', Buffer.from(ctx.params[0])).catch(() => { });
+            });
+
+            server.fallback((ctx) => {
+                ctx.socket.send('unknown', Buffer.from(ctx.title)).catch(() => { });
+            });
+        });
+
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
+        it('服务器级别的路由对所有接口生效', function (done) {
+            const c_socket1 = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            const c_socket2 = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            let count = 0;
+
+            for (const c_socket of [c_socket1, c_socket2]) {
+                c_socket.once('open', () => c_socket.send('ping', Buffer.from('1')).catch(done));
+                c_socket.once('message', (title, data) => {
+                    expect(title).to.be('pong');
+                    expect(data.toString()).to.be('1');
+
+                    if (++count === 2) {
+                        c_socket1.close();
+                        c_socket2.close();
+                        done();
+                    }
+                });
+            }
+        });
+
+        it('先执行服务器级别的路由，再执行接口自己的路由，最后是fallback', function (done) {
+            const c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            const received: string[] = [];
+
+            server.once('connection', (s_socket) => {
+                s_socket.handle('room/*/join', (ctx) => {
+                    done(new Error('服务器级别的处理器没有调用next，不应执行到这里'));
+                });
+
+                s_socket.handle('private', (ctx) => {
+                    expect(ctx.state.id).to.be(s_socket.id);    //服务器级别的中间件
+                    ctx.socket.send('private', Buffer.alloc(0)).catch(() => { });
+                });
+            });
+
+            c_socket.once('open', () => {
+                c_socket.send('room/a/join', Buffer.alloc(0)).catch(done);
+                c_socket.send('private', Buffer.alloc(0)).catch(done);
+                c_socket.send('other', Buffer.alloc(0)).catch(done);
+            });
+
+            c_socket.on('message', (title, data) => {
+                received.push(title + ' ' + data.toString());
+
+                if (received.length === 3) {
+                    expect(received).to.eql(['joined a', 'private ', 'unknown other']);
+                    c_socket.close();
+                    done();
+                }
+            });
+        });
+    });
+
+    describe('测试广播与房间', function () {
+        let server: BWS.Server;
+        let c_sockets: BWS.ServerSocket[];      //客户端接口
+        let s_sockets: BWS.ServerSocket[];      //服务器端对应的接口
+
+        before(function (done) {
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done)
+            server.close(true);
+        });
+
+        beforeEach(async function () {
+            c_sockets = [];
+            s_sockets = [];
+
+            for (let i = 0; i < 3; i++) {   //逐个建立连接，保证 c_sockets 与 s_sockets 一一对应
+                await new Promise(resolve => {
+                    server.once('connection', (socket) => {
+                        s_sockets.push(socket);
+                        resolve();
+                    });
+
+                    c_sockets.push(new BWS.ServerSocket({ url: 'ws://localhost:8080', codec: 'json' }));
+                });
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+        });
+
+        afterEach(function (done) {
+            for (const socket of c_sockets)
+                socket.close();
+
+            setTimeout(() => {
+                expect(server.clients.size).to.be(0);
+                done();
+            }, 100);
+        });
+
+        it('广播消息，排除指定的接口', async function () {
+            const received: number[] = [];
+            c_sockets.forEach((socket, index) => socket.on('message', (title, data) => {
+                expect(title).to.be('news');
+                expect(data).to.eql({ a: 1 });
+                received.push(index);
+            }));
+
+            const result = await server.broadcast('news', { a: 1 }, { except: s_sockets[1], codec: 'json' });
+            expect(result.succeeded.sort()).to.eql([s_sockets[0].id, s_sockets[2].id].sort());
+            expect(result.failed.size).to.be(0);
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(received.sort()).to.eql([0, 2]);
+        });
+
+        it('向房间发送消息', async function () {
+            const received: string[] = [];
+            c_sockets.forEach((socket, index) => socket.on('message', (title) => received.push(index + title)));
+
+            s_sockets[0].join('a');
+            s_sockets[1].join('a');
+            s_sockets[1].join('b');
+            s_sockets[2].join('b');
+            s_sockets[2].leave('b');
+
+            expect([...s_sockets[1].rooms]).to.eql(['a', 'b']);
+            expect(s_sockets[2].rooms.size).to.be(0);
+
+            await server.to('a').send('1', Buffer.alloc(0));
+            await server.to('b').send('2', Buffer.alloc(0));
+            await server.to(['a', 'b']).send('3', Buffer.alloc(0));
+            expect((await server.to('c').send('4', Buffer.alloc(0))).succeeded.length).to.be(0);
+
+            await new Promise(resolve => setTimeout(resolve, 100));
+            expect(received.sort()).to.eql(['01', '03', '11', '12', '13']);
+        });
+
+        it('接口断开后自动离开房间，并报告发送失败的接口', function (done) {
+            s_sockets[0].join('a');
+            s_sockets[1].join('a');
+
+            s_sockets[1].once('close', async () => {
+                try {
+                    expect(s_sockets[1].rooms.size).to.be(0);
+
+                    const result = await server.to('a').send('2', Buffer.alloc(0));
+                    expect(result.succeeded).to.eql([s_sockets[0].id]);
+                    expect(result.failed.size).to.be(0);
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+
+            s_sockets[1].close();
+            server.to('a').send('1', Buffer.alloc(0)).then(result => {  //s_sockets[1]正在关闭，发送会失败
+                expect(result.succeeded).to.eql([s_sockets[0].id]);
+                expect(result.failed.get(s_sockets[1].id)).to.be.an(Error);
+            }).catch(done);
+        });
+    });
 });
 
-describe('测试ServerSocket', function () {
+describe('测试ServerSocket', function () {
+
+    describe('数据收发测试', function () {
+        let server: BWS.Server;
+
+        let s_socket: BWS.ServerSocket;    //服务器端对应的接口
+        let c_socket: BWS.ServerSocket;    //客户端接口
+
+        before(function (done) {    // 打开服务器
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
+        beforeEach(function (done) {    //创建连接
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            c_socket.on('error', (err) => { throw err });
+            c_socket.on('open', () => {
+                expect(server.clients.size).to.be(1);
+                s_socket = server.clients.values().next().value;
+                done();
+            });
+        });
+
+        afterEach(function (done) {
+            s_socket.on('close', () => {
+                (<any>s_socket) = undefined;
+                (<any>c_socket) = undefined;
+                done();
+            });
+            c_socket.close();
+        });
+
+        it('检查socket的属性是否正确', function () {
+            expect(s_socket.bufferedAmount).to.be(0);
+            expect(c_socket.bufferedAmount).to.be(0);
+            expect(s_socket.readyState).to.be(BWS.ReadyState.OPEN);
+            expect(c_socket.readyState).to.be(BWS.ReadyState.OPEN);
+            expect(s_socket.url).to.be('ws://localhost:8080');
+            expect(c_socket.url).to.be('ws://localhost:8080');
+        });
+
+        it('测试收发消息', function (done) {
+            (async () => {
+                let index = 0;  //接收的顺序
+
+                s_socket.on('message', (name, data) => {
+                    index++;
+                    switch (name) {
+                        case '1':
+                            expect(index).to.be(1);
+                            expect(data.length).to.be(0);
+                            break;
+
+                        case '2':
+                            expect(index).to.be(2);
+                            expect(Buffer.from('123').equals(data)).to.be.ok();
+                            done();
+                            break;
+
+                        default:
+                            done(new Error('接收到的消息名称有问题：' + name));
+                            break;
+                    }
+                });
+
+                await c_socket.send('1', Buffer.alloc(0));
+                expect(c_socket.bufferedAmount).to.be(0);
+
+                await c_socket.send('2', Buffer.from('123'));
+                expect(c_socket.bufferedAmount).to.be(0);
+            })();
+        });
+
+        it('测试取消发送', function (done) {
+            (async () => {
+                let index = 0;  //接收的顺序
+
+                s_socket.on('message', (name, data) => {
+                    index++;
+                    switch (name) {
+                        case '1':
+                            expect(index).to.be(1);
+                            expect(data.length).to.be(0);
+                            done();
+                            break;
+
+                        default:
+                            done(new Error('接收到的消息有问题：' + name));
+                            break;
+                    }
+                });
+
+                const m1 = c_socket.send('1', Buffer.alloc(0));
+                const m1_size = c_socket.bufferedAmount;
+
+                const m2 = c_socket.send('2', Buffer.from('123'));
+                m2.catch(() => { });
+
+                expect(c_socket.bufferedAmount).to.above(m1_size);
+                c_socket.cancel(m2.messageID);
+                expect(c_socket.bufferedAmount).to.be(m1_size);
+            })();
+        });
+    });
+
+    describe('连接中断测试', function () {
+        let server: BWS.Server;
+
+        let s_socket: BWS.ServerSocket;    //服务器端对应的接口
+        let c_socket: BWS.ServerSocket;    //客户端接口
+
+        before(function (done) {    // 打开服务器
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        beforeEach(function (done) {    //创建连接
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            c_socket.on('error', (err) => { throw err });
+            c_socket.on('open', () => {
+                expect(server.clients.size).to.be(1);
+                s_socket = server.clients.values().next().value;
+                done();
+            });
+        });
+
+        it('测试断开连接取消发送', function (done) {
+            s_socket.on('message', (name, data) => {
+                done(new Error('1不可能执行到这里，代码逻辑存在错误'));
+            });
+
+            server.close(true);
+            c_socket.close();
+
+            let triggered = 0;
+
+            c_socket.send('1', Buffer.alloc(0))
+                .then(() => { done(new Error('2不可能执行到这里，代码逻辑存在错误')) })
+                .catch(err => { expect(err).to.be.a(Error); triggered++ });
+
+            c_socket.send('2', Buffer.alloc(0))
+                .then(() => { done(new Error('3不可能执行到这里，代码逻辑存在错误')) })
+                .catch(err => { expect(err).to.be.a(Error); triggered++ });
+
+            c_socket.send('3', Buffer.alloc(0))
+                .then(() => { done(new Error('4不可能执行到这里，代码逻辑存在错误')) })
+                .catch(err => { expect(err).to.be.a(Error); triggered++ });
+
+            expect(c_socket.bufferedAmount).to.not.be(0);
+
+            c_socket.on('close', () => {
+                setTimeout(() => {
+                    expect(triggered).to.be(3);
+                    done();
+                }, 1000);
+            });
+        });
+    });
+
+    describe('请求响应测试', function () {
+        let server: BWS.Server;
+
+        let s_socket: BWS.ServerSocket;    //服务器端对应的接口
+        let c_socket: BWS.ServerSocket;    //客户端接口
+
+        before(function (done) {    // 打开服务器
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
+        beforeEach(function (done) {    //创建连接
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            c_socket.on('error', (err) => { throw err });
+            c_socket.on('open', () => {
+                expect(server.clients.size).to.be(1);
+                s_socket = server.clients.values().next().value;
+                done();
+            });
+        });
+
+        afterEach(function (done) {
+            const finish = () => {
+                (<any>s_socket) = undefined;
+                (<any>c_socket) = undefined;
+                done();
+            };
+
+            if (s_socket.readyState === BWS.ReadyState.CLOSED)  //测试中已经断开了连接
+                return finish();
+
+            s_socket.on('close', finish);
+            c_socket.close();
+        });
+
+        it('测试请求与响应', async function () {
+            s_socket.on('message', () => { throw new Error('请求不应当触发message事件') });
+            s_socket.onRequest('add', async (data) => Buffer.from((data.readUInt8(0) + 1).toString()));
+            c_socket.onRequest('echo', (data) => data);
+
+            const [r1, r2] = await Promise.all([
+                c_socket.request('add', Buffer.from([1])),
+                c_socket.request('add', Buffer.from([2]))
+            ]);
+
+            expect(r1.toString()).to.be('2');
+            expect(r2.toString()).to.be('3');
+            expect((await s_socket.request('echo', Buffer.from('123'))).toString()).to.be('123');
+        });
+
+        it('测试请求处理器没有返回值', async function () {
+            s_socket.onRequest('void', () => { });
+            s_socket.onRequest('void_json', async () => { });
+
+            const result = await c_socket.request('void', Buffer.alloc(0));
+            expect(result).to.be.a(Buffer);
+            expect(result.length).to.be(0);
+
+            const result_json = await c_socket.request('void_json', { a: 1 }, { codec: 'json' });
+            expect(result_json).to.be(undefined);
+        });
+
+        it('测试请求处理器抛出异常', async function () {
+            s_socket.onRequest('fail', () => { throw new Error('处理失败') });
+
+            try {
+                await c_socket.request('fail', Buffer.alloc(0));
+                throw new Error('不可能执行到这里，代码逻辑存在错误');
+            } catch (err) {
+                expect(err.message).to.be('处理失败');
+            }
+        });
+
+        it('测试没有注册请求处理器', async function () {
+            s_socket.onRequest('test', (data) => data);
+            s_socket.offRequest('test');
+
+            try {
+                await c_socket.request('test', Buffer.alloc(0));
+                throw new Error('不可能执行到这里，代码逻辑存在错误');
+            } catch (err) {
+                expect(err.message).to.contain('test');
+            }
+        });
+
+        it('测试请求超时', async function () {
+            s_socket.onRequest('slow', (data) => new Promise<Buffer>(resolve => setTimeout(resolve, 500, data)));
+
+            try {
+                await c_socket.request('slow', Buffer.alloc(0), { timeout: 100 });
+                throw new Error('不可能执行到这里，代码逻辑存在错误');
+            } catch (err) {
+                expect(err.message).to.be('请求超时');
+            }
+        });
+
+        it('测试断开连接取消请求', function (done) {
+            s_socket.onRequest('never', () => new Promise<Buffer>(() => { }));
+
+            c_socket.request('never', Buffer.alloc(0))
+                .then(() => { done(new Error('不可能执行到这里，代码逻辑存在错误')) })
+                .catch(err => { expect(err).to.be.a(Error); done(); });
+
+            setTimeout(() => c_socket.close(), 100);
+        });
+    });
+
+    describe('编码器测试', function () {
+        let server: BWS.Server;
+
+        let s_socket: BWS.ServerSocket;    //服务器端对应的接口
+        let c_socket: BWS.ServerSocket;    //客户端接口
+
+        before(function (done) {    // 打开服务器
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.registerCodec('upper', 16, {
+                encode: (data: string) => Buffer.from(data.toUpperCase()),
+                decode: (data: Buffer) => data.toString()
+            });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
+        beforeEach(function (done) {    //创建连接
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080', codec: 'json' });
+            c_socket.on('error', (err) => { throw err });
+            c_socket.on('open', () => {
+                expect(server.clients.size).to.be(1);
+                s_socket = server.clients.values().next().value;
+                done();
+            });
+        });
+
+        afterEach(function (done) {
+            s_socket.on('close', () => {
+                (<any>s_socket) = undefined;
+                (<any>c_socket) = undefined;
+                done();
+            });
+            c_socket.close();
+        });
+
+        it('使用默认编码器与指定编码器发送', function (done) {
+            const value = { a: 1, b: [true, null, 'abc'], c: { d: -1.5 } };
+            const binaryValue = {
+                int: [0, 127, 128, 255, 256, 65535, 65536, 4294967295, -1, -32, -33, -128, -129, -32768, -32769, -2147483648],
+                float: [1.5, -0.25, 4294967296, Number.MAX_SAFE_INTEGER],
+                str: ['', 'a'.repeat(31), 'b'.repeat(32), 'c'.repeat(300), '中文'],
+                buffer: Buffer.from([1, 2, 3]),
+                array: new Array(20).fill(1),
+                nested: { x: [{ y: false }] }
+            };
+
+            let index = 0;
+            s_socket.on('message', (title, data) => {
+                switch (index++) {
+                    case 0:
+                        expect(title).to.be('json');
+                        expect(data).to.eql(value);
+                        break;
+
+                    case 1:
+                        expect(title).to.be('binary');
+                        expect(Buffer.from([1, 2, 3]).equals(data.buffer)).to.be.ok();
+                        delete data.buffer;
+                        delete binaryValue.buffer;
+                        expect(data).to.eql(binaryValue);
+                        break;
+
+                    case 2:
+                        expect(title).to.be('raw');
+                        expect(Buffer.from('123').equals(data)).to.be.ok();
+                        break;
+
+                    case 3:
+                        expect(title).to.be('upper');
+                        expect(data).to.be('ABC');
+                        done();
+                        break;
+                }
+            });
+
+            c_socket.registerCodec('upper', 16, {
+                encode: (data: string) => Buffer.from(data.toUpperCase()),
+                decode: (data: Buffer) => data.toString()
+            });
+
+            c_socket.send('json', value);
+            c_socket.send('binary', binaryValue, { codec: 'binary' });
+            c_socket.send('raw', Buffer.from('123'), { codec: 'raw' });
+            c_socket.send('upper', 'abc', { codec: 'upper' });
+        });
+
+        it('请求的响应使用相同的编码器', async function () {
+            s_socket.onRequest('sum', (data: number[]) => data.reduce((a, b) => a + b));
+            expect(await c_socket.request('sum', [1, 2, 3])).to.be(6);
+            expect(await c_socket.request('sum', [1, 2, 3], { codec: 'binary' })).to.be(6);
+        });
+
+        it('编码失败', async function () {
+            try {
+                await c_socket.send('raw', 'abc', { codec: 'raw' });
+                throw new Error('不可能执行到这里，代码逻辑存在错误');
+            } catch (err) {
+                expect(err.message).to.be('raw 编码器只能发送Buffer');
+            }
+
+            try {
+                await c_socket.send('unknown', 'abc', { codec: 'unknown' });
+                throw new Error('不可能执行到这里，代码逻辑存在错误');
+            } catch (err) {
+                expect(err.message).to.contain('unknown');
+            }
+
+            expect(() => c_socket.registerCodec('json', 17, new Object() as any)).to.throwError();
+            expect(() => c_socket.registerCodec('test', 1, new Object() as any)).to.throwError();
+        });
+    });
+
+    describe('压缩测试', function () {
+        let server: BWS.Server;         //开启了压缩
+        let server_plain: BWS.Server;   //没有开启压缩
+        let server_limited: BWS.Server; //限制了消息大小
+        let server_app: BWS.Server;     //开启了压缩，但不协商permessage-deflate
+        let c_socket: BWS.ServerSocket;
+
+        const data = JSON.stringify(new Array(1000).fill({ level: 'info', message: 'hello binary-ws' }));
+
+        before(function (done) {
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080/deflate', compression: true });
+            server_plain = new BWS.Server(hs, { url: 'ws://localhost:8080/plain' });
+            server_limited = new BWS.Server(hs, { url: 'ws://localhost:8080/limited', maxPayload: 2048, compression: true });
+            server_app = new BWS.Server(hs, { url: 'ws://localhost:8080/app', compression: true });
+            (<any>server_app)._ws.options.perMessageDeflate = false;    //模拟没有协商成功，例如经过了不支持的代理
+            server_app.on('error', err => { throw err });
+            server.on('error', err => { throw err });
+            server_plain.on('error', err => { throw err });
+            server_limited.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server_plain.close();
+            server_limited.close();
+            server_app.close();
+            server.on('close', done);
+            server.close(true);
+        });
+
+        afterEach(function (done) {
+            if (c_socket.readyState === BWS.ReadyState.CLOSED)  //测试中已经断开了连接
+                return done();
+
+            c_socket.on('close', () => done());
+            c_socket.close();
+        });
+
+        it('双方都开启时使用permessage-deflate扩展', function (done) {
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/deflate', compression: true });
+            c_socket.on('error', (err) => { throw err });
+
+            server.once('connection', (s_socket) => {
+                expect((<any>s_socket)._socket.extensions).to.contain('permessage-deflate');
+
+                (<any>s_socket)._socket.once('message', (raw: Buffer) => {
+                    expect(raw[0] & 0x80).to.be(0);     //没有在应用层压缩
+                });
+
+                s_socket.once('message', (title, r_data) => {
+                    expect(title).to.be('log');
+                    expect(r_data.toString()).to.be(data);
+                    done();
+                });
+
+            });
+
+            c_socket.once('open', () => c_socket.send('log', Buffer.from(data)).catch(done));
+        });
+
+        it('双方都开启但没有协商permessage-deflate时在应用层压缩', function (done) {
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/app', compression: true });
+            c_socket.on('error', (err) => { throw err });
+
+            server_app.once('connection', (s_socket) => {
+                expect((<any>s_socket)._socket.extensions).to.be('');
+
+                (<any>s_socket)._socket.on('message', (raw: Buffer) => {
+                    if (raw.readUInt8(0) !== BWS.MessageType.compression) {
+                        expect(raw[0] & 0x80).to.be(0x80);
+                        expect(raw.length).to.be.lessThan(data.length);
+                    }
+                });
+
+                s_socket.once('message', (title, r_data) => {
+                    expect(title).to.be('log');
+                    expect(r_data.toString()).to.be(data);
+
+                    (<any>c_socket)._socket.once('message', (raw: Buffer) => expect(raw[0] & 0x80).to.be(0x80));
+
+                    c_socket.once('message', (title, r_data) => {
+                        expect(title).to.be('reply');
+                        expect(r_data.toString()).to.be(data);
+                        done();
+                    });
+
+                    s_socket.send('reply', Buffer.from(data)).catch(done);
+                });
+            });
+
+            c_socket.once('open', () => {   //对方告知开启了压缩之后才会在应用层压缩
+                setTimeout(() => c_socket.send('log', Buffer.from(data)).catch(done), 50);
+            });
+        });
+
+        it('对方没有开启时不在应用层压缩，没有开启压缩的一方也可以向开启了压缩的对方单独指定压缩', function (done) {
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/plain', compression: true });
+            c_socket.on('error', (err) => { throw err });
+
+            server_plain.once('connection', (s_socket) => {
+                expect((<any>s_socket)._socket.extensions).to.be('');
+
+                (<any>s_socket)._socket.on('message', (raw: Buffer) => expect(raw[0] & 0x80).to.be(0));
+
+                s_socket.once('message', (title, r_data) => {
+                    expect(title).to.be('log');
+                    expect(r_data.toString()).to.be(data);
+
+                    (<any>c_socket)._socket.once('message', (raw: Buffer) => expect(raw[0] & 0x80).to.be(0x80));
+
+                    c_socket.once('message', (title, r_data) => {
+                        expect(title).to.be('reply');
+                        expect(r_data.toString()).to.be(data);
+                        done();
+                    });
+
+                    s_socket.send('reply', Buffer.from(data), { compress: true }).catch(done);
+                });
+            });
+
+            c_socket.once('open', () => {
+                setTimeout(() => c_socket.send('log', Buffer.from(data)).catch(done), 50);
+            });
+        });
+
+        it('默认配置下收到在应用层压缩的数据帧时断开连接，不会解压', function (done) {
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/plain' });
+
+            server_plain.once('connection', (s_socket) => {
+                s_socket.once('error', (err) => {
+                    expect(err.message).to.be('没有开启压缩，但收到了在应用层压缩的数据帧');
+                    c_socket.once('close', () => done());
+                });
+
+                s_socket.on('message', () => done(new Error('不应当收到这条消息')));
+            });
+
+            c_socket.once('open', () => {
+                const header = Buffer.alloc(6);
+                header.writeUInt8(BWS.MessageType.message | 0x80, 0);
+                (<any>c_socket)._socket.send(Buffer.concat([header, zlib.deflateRawSync(Buffer.alloc(1024 * 1024))]));
+            });
+        });
+
+        it('没有超过阈值或指定了不压缩的消息不会被压缩', function (done) {
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/plain', compression: true });
+            c_socket.on('error', (err) => { throw err });
+
+            server_plain.once('connection', (s_socket) => {
+                const flags: number[] = [];
+
+                (<any>s_socket)._socket.on('message', (raw: Buffer) => {
+                    if (raw.readUInt8(0) === BWS.MessageType.compression) return;
+
+                    if (flags.push(raw[0] & 0x80) === 2) {
+                        expect(flags).to.eql([0, 0]);
+                        done();
+                    }
+                });
+
+            });
+
+            c_socket.once('open', () => {
+                c_socket.send('1', Buffer.from('small')).catch(done);
+                c_socket.send('2', Buffer.from(data), { compress: false }).catch(done);
+            });
+        });
+
+        it('压缩的消息与没有压缩的消息按照收到的顺序处理', function (done) {
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/plain', compression: true });
+            c_socket.on('error', (err) => { throw err });
+
+            server_plain.once('connection', (s_socket) => {
+                const received: string[] = [];
+
+                s_socket.on('message', (title) => {
+                    if (received.push(title) === 3) {
+                        expect(received).to.eql(['1', '2', '3']);
+                        done();
+                    }
+                });
+            });
+
+            c_socket.once('open', () => {
+                c_socket.send('1', Buffer.from(data)).catch(done);
+                c_socket.send('2', Buffer.from('small')).catch(done);
+                c_socket.send('3', Buffer.from(data)).catch(done);
+            });
+        });
+
+        it('解压后超出大小限制时停止解压并断开连接', function (done) {
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080/limited' });
+
+            server_limited.once('connection', (s_socket) => {
+                s_socket.once('error', (err) => {
+                    expect(err.message).to.be('接收到的消息解压后大小超出了限制');
+                    c_socket.once('close', () => done());   //服务器端出现异常后关闭连接
+                });
+
+                s_socket.on('message', () => done(new Error('不应当收到这条消息')));
+            });
+
+            c_socket.once('open', () => {
+                const header = Buffer.alloc(6);
+                header.writeUInt8(BWS.MessageType.message | 0x80, 0);
+                const body = zlib.deflateRawSync(Buffer.alloc(1024 * 1024));    //只有1KB左右，但解压后有1MB
+                expect(body.length).to.be.lessThan(2048);
+                (<any>c_socket)._socket.send(Buffer.concat([header, body]));
+            });
+        });
+    });
+
+    describe('数据流测试', function () {
+        let server: BWS.Server;
+
+        let s_socket: BWS.ServerSocket;    //服务器端对应的接口
+        let c_socket: BWS.ServerSocket;    //客户端接口
+
+        before(function (done) {    // 打开服务器
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080', maxPayload: 1000 });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
+        beforeEach(function (done) {    //创建连接
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080', maxPayload: 1000 });
+            c_socket.on('error', (err) => { throw err });
+            c_socket.on('open', () => {
+                expect(server.clients.size).to.be(1);
+                s_socket = server.clients.values().next().value;
+                done();
+            });
+        });
+
+        afterEach(function (done) {
+            s_socket.on('close', () => {
+                (<any>s_socket) = undefined;
+                (<any>c_socket) = undefined;
+                done();
+            });
+            c_socket.close();
+        });
+
+        it('发送超过maxPayload的Buffer，并且与普通消息穿插发送', function (done) {
+            const data = Buffer.alloc(10000).fill(7);
+            const progress: number[] = [];
+            const order: string[] = [];
+
+            s_socket.on('message', (title) => order.push(title));
+            s_socket.on('stream', (title, stream) => {
+                expect(title).to.be('file');
+                expect(stream.total).to.be(10000);
+
+                const chunks: Buffer[] = [];
+                stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+                stream.on('progress', () => order.push('chunk'));
+                stream.on('end', () => {
+                    expect(data.equals(Buffer.concat(chunks))).to.be.ok();
+                    expect(stream.received).to.be(10000);
+                    expect(order.indexOf('small')).to.be(1);   //普通消息没有等到数据流发完才发送
+                    expect(progress[progress.length - 1]).to.be(10000);
+                    done();
+                });
+            });
+
+            c_socket.sendStream('file', data, {
+                onProgress: (sent, total) => {
+                    expect(total).to.be(10000);
+                    if (progress.push(sent) === 1) c_socket.send('small', Buffer.alloc(1));
+                }
+            }).catch(done);
+        });
+
+        it('发送 Node Readable', function (done) {
+            const source = new PassThrough();
+
+            s_socket.on('stream', (title, stream) => {
+                expect(stream.total).to.be(-1);
+
+                const chunks: Buffer[] = [];
+                stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+                stream.on('end', () => {
+                    expect(Buffer.concat(chunks).toString()).to.be('a'.repeat(1500) + 'b'.repeat(1500));
+                    done();
+                });
+            });
+
+            c_socket.sendStream('readable', source).catch(done);
+
+            source.write('a'.repeat(1500));
+            setTimeout(() => source.end('b'.repeat(1500)), 100);
+        });
+
+        it('发送方取消发送', function (done) {
+            const source = new PassThrough();
+
+            s_socket.on('stream', (title, stream) => {
+                stream.on('data', () => { });
+                stream.on('error', (err: Error) => {
+                    expect(err.message).to.be('发送方取消了发送');
+                    done();
+                });
+            });
+
+            const result = c_socket.sendStream('cancel', source);
+            result.then(() => done(new Error('不可能执行到这里，代码逻辑存在错误'))).catch(err => expect(err).to.be.a(Error));
+
+            source.write('123');
+            setTimeout(() => c_socket.cancel(result.messageID), 100);
+        });
+
+        it('接收方取消接收', function (done) {
+            const source = new PassThrough();
+
+            s_socket.on('stream', (title, stream) => {
+                stream.once('data', () => stream.cancel());
+            });
+
+            c_socket.sendStream('reject', source)
+                .then(() => done(new Error('不可能执行到这里，代码逻辑存在错误')))
+                .catch(err => {
+                    expect(err.message).to.be('接收方取消了接收');
+                    done();
+                });
+
+            source.write('123');
+        });
 
-    describe('数据收发测试', function () {
+        it('接收方直接destroy数据流也会通知发送方', function (done) {
+            const source = new PassThrough();
+
+            s_socket.on('stream', (title, stream) => {
+                stream.once('data', () => stream.destroy());
+            });
+
+            c_socket.sendStream('destroy', source)
+                .then(() => done(new Error('不可能执行到这里，代码逻辑存在错误')))
+                .catch(err => {
+                    expect(err.message).to.be('接收方取消了接收');
+                    done();
+                });
+
+            source.write('123');
+        });
+
+        it('接收方读取得慢时，发送方暂停发送', function (done) {
+            const data = Buffer.alloc(1024 * 1024).fill(3);
+            let sent = 0;
+
+            s_socket.on('stream', (title, stream) => {
+                setTimeout(() => {  //一直没有读取，缓冲的数据不会超过highWaterMark太多
+                    expect(stream.received).to.be.lessThan(100 * 1024);
+                    expect(sent).to.be.lessThan(100 * 1024);
+
+                    const chunks: Buffer[] = [];
+                    stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+                    stream.on('end', () => {
+                        expect(data.equals(Buffer.concat(chunks))).to.be.ok();
+                        done();
+                    });
+                }, 300);
+            });
+
+            c_socket.sendStream('slow', data, { onProgress: (value) => sent = value }).catch(done);
+        });
+    });
+
+    describe('自动重连测试', function () {
         let server: BWS.Server;
+        let c_socket: BWS.ServerSocket;    //客户端接口
 
-        let s_socket: BWS.ServerSocket;    //服务器端对应的接口
+        before(function (done) {    // 打开服务器
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
+
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
+        beforeEach(function (done) {    //创建连接
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080', reconnect: { minDelay: 100, maxAttempts: 3 } });
+            c_socket.on('error', (err) => { throw err });
+            c_socket.on('open', () => done());
+        });
+
+        afterEach(function () {
+            c_socket.close();
+        });
+
+        it('服务器端断开连接后自动重连，并继续发送保留的消息', function (done) {
+            const s_socket: BWS.ServerSocket = server.clients.values().next().value;
+            let reconnecting = false;
+
+            c_socket.on('reconnecting', (attempt, delay) => {
+                expect(attempt).to.be(1);
+                expect(delay).to.be.within(50, 100);
+                expect(c_socket.readyState).to.be(BWS.ReadyState.CONNECTING);
+                reconnecting = true;
+
+                c_socket.send('1', Buffer.from('123')).then(() => {
+                    expect(c_socket.bufferedAmount).to.be(0);
+                }).catch(done);
+            });
+
+            c_socket.on('reconnected', () => {
+                expect(reconnecting).to.be.ok();
+                expect(c_socket.readyState).to.be(BWS.ReadyState.OPEN);
+            });
+
+            server.once('connection', (socket) => {
+                expect(socket).to.not.be(s_socket);
+                socket.on('message', (title, data) => {
+                    expect(reconnecting).to.be.ok();
+                    expect(title).to.be('1');
+                    expect(data.toString()).to.be('123');
+                    done();
+                });
+            });
+
+            s_socket.close();
+        });
+
+        it('连接中断时已经发出的请求失败，没有发出的请求在重连之后发送', function (done) {
+            const s_socket: BWS.ServerSocket = server.clients.values().next().value;
+            s_socket.onRequest('wait', () => new Promise(() => { }));    //永远不会响应
+
+            server.once('connection', (socket) => {
+                socket.onRequest('echo', (data) => data);
+            });
+
+            c_socket.request('wait', Buffer.alloc(0)).then(() => {
+                done(new Error('请求不应该成功'));
+            }, async (err: Error) => {
+                try {
+                    expect(err.message).to.contain('连接中断');
+                    expect(c_socket.readyState).to.be(BWS.ReadyState.CONNECTING);
+
+                    const result = await c_socket.request('echo', Buffer.from('123'));
+                    expect(result.toString()).to.be('123');
+                    done();
+                } catch (err) {
+                    done(err);
+                }
+            });
+
+            setTimeout(() => s_socket.close(), 100);
+        });
+
+        it('重连等待过程中调用close', function (done) {
+            c_socket.once('reconnecting', () => {
+                c_socket.once('close', () => {
+                    expect(c_socket.readyState).to.be(BWS.ReadyState.CLOSED);
+                    done();
+                });
+                c_socket.close();
+            });
+
+            server.clients.values().next().value.close();
+        });
+
+        it('超过最大重连次数后触发close事件', function (done) {
+            this.timeout(5000);
+            let attempts = 0;
+
+            c_socket.on('reconnecting', (attempt) => attempts = attempt);
+            c_socket.on('close', () => {
+                expect(attempts).to.be(3);
+
+                const hs = http.createServer();    //重新打开服务器，供after使用
+                hs.listen(8080);
+                server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+                server.on('listening', done);
+            });
+
+            server.close(true);
+        });
+    });
+
+    describe('可靠消息测试', function () {
+        let server: BWS.Server;
         let c_socket: BWS.ServerSocket;    //客户端接口
 
         before(function (done) {    // 打开服务器
@@ -203,102 +1944,250 @@ describe('测试ServerSocket', function () {
 
         after(function (done) {
             server.on('close', done);
-            server.close();
+            server.close(true);
         });
 
         beforeEach(function (done) {    //创建连接
-            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080', reliable: { bufferSize: 2 }, reconnect: { minDelay: 100 } });
             c_socket.on('error', (err) => { throw err });
-            c_socket.on('open', () => {
-                expect(server.clients.size).to.be(1);
-                s_socket = server.clients.values().next().value;
+            c_socket.on('open', () => done());
+        });
+
+        afterEach(function () {
+            c_socket.close();
+        });
+
+        it('收到对方的确认之后send才resolve', function (done) {
+            const s_socket: BWS.ServerSocket = server.clients.values().next().value;
+            let received = false;
+
+            s_socket.once('message', (title, data) => {
+                expect(title).to.be('1');
+                expect(data.toString()).to.be('123');
+                received = true;
+            });
+
+            c_socket.send('1', Buffer.from('123')).then(() => {
+                expect(received).to.be.ok();
                 done();
+            }).catch(done);
+        });
+
+        it('可靠消息的序号超过2^32-1之后从0重新开始，对方仍然可以正常接收', function (done) {
+            const s_socket: BWS.ServerSocket = server.clients.values().next().value;
+            const received: string[] = [];
+
+            (<any>c_socket)._reliableSeq = 0xFFFFFFFF;
+            s_socket.on('message', (title) => received.push(title));
+
+            Promise.all([
+                c_socket.send('1', Buffer.alloc(0)),
+                c_socket.send('2', Buffer.alloc(0))
+            ]).then(() => {
+                expect(received).to.eql(['1', '2']);
+                expect((<any>c_socket)._reliableSeq).to.be(1);
+                done();
+            }).catch(done);
+        });
+
+        it('断线重连后重发没有收到确认的消息，对方丢弃已经处理过的消息', function (done) {
+            const s_socket: BWS.ServerSocket = server.clients.values().next().value;
+            const received: string[] = [];
+            let resolved = false;
+
+            (<any>s_socket)._sendData = () => Promise.resolve();   //模拟确认丢失
+
+            s_socket.once('message', (title) => {
+                received.push(title);
+                setTimeout(() => s_socket.close(), 10);
+            });
+
+            server.once('connection', (socket) => {
+                socket.on('message', (title) => {
+                    received.push(title);
+                    expect(resolved).to.be.ok();
+                    expect(received).to.eql(['1', '2']);
+                    done();
+                });
             });
+
+            c_socket.send('1', Buffer.from('123')).then(() => {
+                resolved = true;    //重发后对方确认了重复的消息
+                expect(c_socket.readyState).to.be(BWS.ReadyState.OPEN);
+                return c_socket.send('2', Buffer.from('456'));
+            }).catch(done);
         });
 
-        afterEach(function (done) {
-            s_socket.on('close', () => {
-                (<any>s_socket) = undefined;
-                (<any>c_socket) = undefined;
+        it('等待确认的消息超过bufferSize之后send直接失败', function (done) {
+            const s_socket: BWS.ServerSocket = server.clients.values().next().value;
+            (<any>s_socket)._sendData = () => Promise.resolve();   //不回复确认
+
+            c_socket.send('1', Buffer.alloc(0)).catch(() => { });
+            c_socket.send('2', Buffer.alloc(0)).catch(() => { });
+            c_socket.send('3', Buffer.alloc(0)).then(() => {
+                done(new Error('不可能执行到这里，代码逻辑存在错误'));
+            }).catch((err) => {
+                expect(err.message).to.be('等待确认的消息数量超出了限制');
                 done();
             });
-            c_socket.close();
         });
 
-        it('检查socket的属性是否正确', function () {
-            expect(s_socket.bufferedAmount).to.be(0);
-            expect(c_socket.bufferedAmount).to.be(0);
-            expect(s_socket.readyState).to.be(BWS.ReadyState.OPEN);
-            expect(c_socket.readyState).to.be(BWS.ReadyState.OPEN);
-            expect(s_socket.url).to.be('ws://localhost:8080');
-            expect(c_socket.url).to.be('ws://localhost:8080');
+        it('连接关闭后等待确认的消息失败', function (done) {
+            const s_socket: BWS.ServerSocket = server.clients.values().next().value;
+            (<any>s_socket)._sendData = () => Promise.resolve();   //不回复确认
+
+            s_socket.once('message', () => c_socket.close());
+
+            c_socket.send('1', Buffer.alloc(0)).then(() => {
+                done(new Error('不可能执行到这里，代码逻辑存在错误'));
+            }).catch((err) => {
+                expect(err.message).to.be('websocket 连接中断');
+                done();
+            });
         });
+    });
 
-        it('测试收发消息', function (done) {
-            (async () => {
-                let index = 0;  //接收的顺序
+    describe('消息路由测试', function () {
+        let server: BWS.Server;
+        let c_socket: BWS.ServerSocket;    //客户端接口
+        let s_socket: BWS.ServerSocket;    //服务器端接口
 
-                s_socket.on('message', (name, data) => {
-                    index++;
-                    switch (name) {
-                        case '1':
-                            expect(index).to.be(1);
-                            expect(data.length).to.be(0);
-                            break;
+        before(function (done) {    // 打开服务器
+            const hs = http.createServer();
+            hs.listen(8080);
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server.on('error', err => { throw err });
+            server.on('listening', done);
+        });
 
-                        case '2':
-                            expect(index).to.be(2);
-                            expect(Buffer.from('123').equals(data)).to.be.ok();
-                            done();
-                            break;
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
 
-                        default:
-                            done(new Error('接收到的消息名称有问题：' + name));
-                            break;
-                    }
-                });
+        beforeEach(function (done) {    //创建连接
+            let count = 0;
+            const ready = () => ++count === 2 && done();
 
-                await c_socket.send('1', Buffer.alloc(0));
-                expect(c_socket.bufferedAmount).to.be(0);
+            server.once('connection', (socket) => { s_socket = socket; ready(); });
 
-                await c_socket.send('2', Buffer.from('123'));
-                expect(c_socket.bufferedAmount).to.be(0);
-            })();
+            c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
+            c_socket.on('error', (err) => { throw err });
+            c_socket.on('open', ready);
         });
 
-        it('测试取消发送', function (done) {
+        afterEach(function () {
+            c_socket.close();
+        });
+
+        it('通配符匹配，多个处理器依次执行', function (done) {
+            const received: string[] = [];
+
+            s_socket.handle('chat/*', (ctx, next) => {
+                received.push('chat/* ' + ctx.params.join());
+                return next();
+            });
+
+            s_socket.handle('chat/room', (ctx) => {
+                received.push('chat/room ' + ctx.data.toString());
+            });
+
+            s_socket.handle('log/**', (ctx) => {
+                received.push('log/** ' + ctx.params.join());
+            });
+
+            s_socket.fallback((ctx) => {
+                received.push('fallback ' + ctx.title);
+
+                expect(received).to.eql([
+                    'chat/* room',
+                    'chat/room 1',
+                    'log/** a/b',
+                    'fallback chat/a/b'     //* 只匹配一层
+                ]);
+                done();
+            });
+
             (async () => {
-                let index = 0;  //接收的顺序
+                await c_socket.send('chat/room', Buffer.from('1'));
+                await c_socket.send('log/a/b', Buffer.alloc(0));
+                await c_socket.send('chat/a/b', Buffer.alloc(0));
+            })().catch(done);
+        });
 
-                s_socket.on('message', (name, data) => {
-                    index++;
-                    switch (name) {
-                        case '1':
-                            expect(index).to.be(1);
-                            expect(data.length).to.be(0);
-                            done();
-                            break;
+        it('命名空间中的中间件可以中断处理', function (done) {
+            const admin = s_socket.namespace('admin');
+            const received: string[] = [];
 
-                        default:
-                            done(new Error('接收到的消息有问题：' + name));
-                            break;
-                    }
-                });
+            admin.use((ctx, next) => {
+                if (ctx.data.toString() === 'token') {
+                    ctx.state.user = 'root';
+                    return next();
+                }
+            });
 
-                const m1 = c_socket.send('1', Buffer.alloc(0));
-                const m1_size = c_socket.bufferedAmount;
+            admin.handle('kick', (ctx) => {
+                received.push(ctx.title + ' ' + ctx.state.user);
+            });
 
-                const m2 = c_socket.send('2', Buffer.from('123'));
-                m2.catch(() => { });
+            s_socket.handle('done', () => {
+                expect(received).to.eql(['admin/kick root']);
+                done();
+            });
 
-                expect(c_socket.bufferedAmount).to.above(m1_size);
-                c_socket.cancel(m2.messageID);
-                expect(c_socket.bufferedAmount).to.be(m1_size);
-            })();
+            s_socket.fallback(() => done(new Error('被中间件中断的消息不应交给fallback')));
+
+            expect(s_socket.namespace('admin')).to.be(admin);
+
+            c_socket.send('admin/kick', Buffer.from('guest')).catch(done);
+            c_socket.send('admin/kick', Buffer.from('token')).catch(done);
+            c_socket.send('done', Buffer.alloc(0)).catch(done);
+        });
+
+        it('路由之外仍然会触发message事件', function (done) {
+            let handled = false;
+
+            s_socket.handle('a', () => { handled = true });
+
+            s_socket.once('message', (title, data) => {
+                expect(title).to.be('a');
+                expect(handled).to.be(false);   //message事件先于路由触发
+                setTimeout(() => {
+                    expect(handled).to.be(true);
+                    done();
+                }, 10);
+            });
+
+            c_socket.send('a', Buffer.alloc(0)).catch(done);
+        });
+
+        it('处理器抛出的异常触发error事件，但不会关闭连接', function (done) {
+            s_socket.handle('throw', async () => {
+                throw new Error('test error');
+            });
+
+            s_socket.handle('echo', (ctx) => {
+                ctx.socket.send('echo', ctx.data);
+            });
+
+            s_socket.once('error', (err) => {
+                expect(err.message).to.be('test error');
+                expect(BWS.Router.isHandlerError(err)).to.be(true);
+            });
+
+            c_socket.once('message', (title, data) => {
+                expect(title).to.be('echo');
+                expect(data.toString()).to.be('ok');
+                expect(s_socket.readyState).to.be(BWS.ReadyState.OPEN);
+                done();
+            });
+
+            c_socket.send('throw', Buffer.alloc(0)).catch(done);
+            c_socket.send('echo', Buffer.from('ok')).catch(done);
         });
     });
 
-    describe('连接中断测试', function () {
+    describe('心跳检测测试', function () {
         let server: BWS.Server;
 
         let s_socket: BWS.ServerSocket;    //服务器端对应的接口
@@ -307,11 +2196,16 @@ describe('测试ServerSocket', function () {
         before(function (done) {    // 打开服务器
             const hs = http.createServer();
             hs.listen(8080);
-            server = new BWS.Server(hs, { url: 'ws://localhost:8080' });
+            server = new BWS.Server(hs, { url: 'ws://localhost:8080', heartbeatInterval: 100, heartbeatTimeout: 200 });
             server.on('error', err => { throw err });
             server.on('listening', done);
         });
 
+        after(function (done) {
+            server.on('close', done);
+            server.close(true);
+        });
+
         beforeEach(function (done) {    //创建连接
             c_socket = new BWS.ServerSocket({ url: 'ws://localhost:8080' });
             c_socket.on('error', (err) => { throw err });
@@ -322,35 +2216,27 @@ describe('测试ServerSocket', function () {
             });
         });
 
-        it('测试断开连接取消发送', function (done) {
-            s_socket.on('message', (name, data) => {
-                done(new Error('1不可能执行到这里，代码逻辑存在错误'));
-            });
-
-            server.close();
-            c_socket.close();
-
-            let triggered = 0;
-
-            c_socket.send('1', Buffer.alloc(0))
-                .then(() => { done(new Error('2不可能执行到这里，代码逻辑存在错误')) })
-                .catch(err => { expect(err).to.be.a(Error); triggered++ });
+        it('测量往返时间', function (done) {
+            expect(s_socket.latency).to.be(-1);
+            expect(c_socket.latency).to.be(-1);
 
-            c_socket.send('2', Buffer.alloc(0))
-                .then(() => { done(new Error('3不可能执行到这里，代码逻辑存在错误')) })
-                .catch(err => { expect(err).to.be.a(Error); triggered++ });
+            setTimeout(() => {
+                expect(s_socket.latency).to.be.within(0, 100);
+                expect(s_socket.readyState).to.be(BWS.ReadyState.OPEN);
 
-            c_socket.send('3', Buffer.alloc(0))
-                .then(() => { done(new Error('4不可能执行到这里，代码逻辑存在错误')) })
-                .catch(err => { expect(err).to.be.a(Error); triggered++ });
+                s_socket.on('close', () => done());
+                c_socket.close();
+            }, 350);
+        });
 
-            expect(c_socket.bufferedAmount).to.not.be(0);
+        it('对方没有回应，超时断开', function (done) {
+            (<any>c_socket)._socket._socket.pause();   //模拟对方失去响应：不再读取数据，也就不会回应ping
 
-            c_socket.on('close', () => {
-                setTimeout(() => {
-                    expect(triggered).to.be(3);
-                    done();
-                }, 1000);
+            s_socket.on('close', (code) => {
+                expect(code).to.be(BWS.CloseCode.heartbeatTimeout);
+                expect(server.clients.size).to.be(0);
+                (<any>c_socket)._socket._socket.destroy();
+                done();
             });
         });
     });
@@ -368,7 +2254,7 @@ describe('测试ServerSocket', function () {
 
         after(function (done) {
             server.on('close', done);
-            server.close();
+            server.close(true);
         });
 
         describe('在限制范围之内', function () {
@@ -459,7 +2345,7 @@ describe('压力测试', function () {
 
     after(function (done) {
         server.on('close', done);
-        server.close();
+        server.close(true);
     });
 
     beforeEach(function (done) {    //创建连接